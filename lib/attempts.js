@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+// ============== CART ATTEMPT LOG ==============
+// Bounded audit trail of add-to-cart calls: what was sent, what the API
+// answered, how long it took and how long after the restock was seen.
+// Timings (milliseconds):
+//   latencyMs            request sent -> response received
+//   detectionToCartMs    stock response showing the restock -> cart response
+//   sinceLastCheckMs     previous check (still out of stock) -> detection,
+//                        i.e. how long the item may have been buyable unseen
+
+function percentile(sorted, ratio) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil(ratio * sorted.length) - 1));
+  return sorted[index];
+}
+
+function describeDurations(values) {
+  const sorted = values.filter(value => Number.isFinite(value)).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  return {
+    avg: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    p50: percentile(sorted, 0.5),
+    p90: percentile(sorted, 0.9),
+    min: sorted[0],
+    max: sorted[sorted.length - 1]
+  };
+}
+
+function createAttemptLog({ maxEntries = 500 } = {}) {
+  const entries = [];
+
+  function record(attempt) {
+    const entry = { id: crypto.randomUUID(), ...attempt };
+    entries.push(entry);
+    if (entries.length > maxEntries) {
+      entries.shift();
+    }
+    return entry;
+  }
+
+  function matches(entry, { productId, offerId, accountId, trigger, success, since } = {}) {
+    return (!productId || entry.productId === String(productId))
+      && (!offerId || entry.offerId === String(offerId))
+      && (!accountId || entry.accountId === accountId)
+      && (!trigger || entry.trigger === trigger)
+      && (success === undefined || entry.success === success)
+      && (!since || Date.parse(entry.at) >= Date.parse(since));
+  }
+
+  // Newest first
+  function list({ limit = 50, ...filters } = {}) {
+    const result = [];
+    for (let i = entries.length - 1; i >= 0 && result.length < limit; i--) {
+      if (matches(entries[i], filters)) result.push(entries[i]);
+    }
+    return result;
+  }
+
+  // One row per product over the matching attempts, most recent activity first
+  function summarize(filters = {}) {
+    const byProduct = new Map();
+    for (const entry of entries) {
+      if (!matches(entry, filters)) continue;
+      if (!byProduct.has(entry.productId)) byProduct.set(entry.productId, []);
+      byProduct.get(entry.productId).push(entry);
+    }
+
+    return Array.from(byProduct, ([productId, attempts]) => {
+      const successes = attempts.filter(attempt => attempt.success);
+      const failures = {};
+      for (const attempt of attempts) {
+        if (attempt.success) continue;
+        const reason = attempt.message || 'unknown';
+        failures[reason] = (failures[reason] || 0) + 1;
+      }
+      const last = attempts[attempts.length - 1];
+      return {
+        productId,
+        title: last.title,
+        attempts: attempts.length,
+        successes: successes.length,
+        failures: attempts.length - successes.length,
+        successRate: Math.round((successes.length / attempts.length) * 100) / 100,
+        lastAttemptAt: last.at,
+        lastSuccessAt: successes.length > 0 ? successes[successes.length - 1].at : null,
+        latencyMs: describeDurations(attempts.map(attempt => attempt.latencyMs)),
+        detectionToCartMs: describeDurations(attempts.map(attempt => attempt.detectionToCartMs)),
+        sinceLastCheckMs: describeDurations(attempts.map(attempt => attempt.sinceLastCheckMs)),
+        failureReasons: failures
+      };
+    }).sort((a, b) => Date.parse(b.lastAttemptAt) - Date.parse(a.lastAttemptAt));
+  }
+
+  function toJSON() {
+    return entries;
+  }
+
+  function restore(saved = []) {
+    entries.push(...saved.filter(entry => entry && entry.id && entry.productId));
+    while (entries.length > maxEntries) {
+      entries.shift();
+    }
+  }
+
+  return { record, list, summarize, toJSON, restore, size: () => entries.length };
+}
+
+module.exports = { createAttemptLog };
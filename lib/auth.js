@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+
+// ============== WEB UI / API AUTHENTICATION ==============
+// Passwords open a cookie session (web UI), API keys are sent as
+// "Authorization: Bearer <key>" (scripts). Session tokens are also
+// accepted as bearer tokens. Roles are ordered: viewer < operator.
+
+const ROLES = ['viewer', 'operator'];
+const SESSION_COOKIE = 'srp_session';
+
+function hasRole(role, requiredRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+// Constant-time comparison that does not leak the secret length
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// "key1:operator,key2:viewer" -> [{ key, role }]
+function parseApiKeys(input) {
+  if (!input) return [];
+  return input.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.lastIndexOf(':');
+    const key = separator > 0 ? entry.substring(0, separator) : entry;
+    const role = separator > 0 ? entry.substring(separator + 1) : 'operator';
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role "${role}" in API_KEYS`);
+    }
+    return { key, role };
+  });
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.substring(0, index).trim()] = decodeURIComponent(part.substring(index + 1).trim());
+    }
+  }
+  return cookies;
+}
+
+function createAuth({
+  operatorPassword = '',
+  viewerPassword = '',
+  apiKeys = [],
+  sessionTtlMs = 7 * 24 * 3600 * 1000,
+  maxFailures = 10,
+  failureWindowMs = 15 * 60 * 1000
+} = {}) {
+  const sessions = new Map(); // token -> { role, expiresAt }
+  const failures = new Map(); // ip -> [timestamps]
+  const enabled = !!(operatorPassword || viewerPassword || apiKeys.length > 0);
+
+  function recentFailures(ip) {
+    const cutoff = Date.now() - failureWindowMs;
+    const list = (failures.get(ip) || []).filter(time => time > cutoff);
+    if (list.length > 0) {
+      failures.set(ip, list);
+    } else {
+      failures.delete(ip);
+    }
+    return list;
+  }
+
+  function recordFailure(ip) {
+    const list = recentFailures(ip);
+    list.push(Date.now());
+    failures.set(ip, list);
+  }
+
+  // Milliseconds until this IP may try again, 0 if not blocked
+  function blockedForMs(ip) {
+    const list = recentFailures(ip);
+    if (list.length < maxFailures) return 0;
+    return list[list.length - maxFailures] + failureWindowMs - Date.now();
+  }
+
+  function roleForPassword(password) {
+    if (operatorPassword && safeEqual(password, operatorPassword)) return 'operator';
+    if (viewerPassword && safeEqual(password, viewerPassword)) return 'viewer';
+    return null;
+  }
+
+  function createSession(role) {
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions.set(token, { role, expiresAt: Date.now() + sessionTtlMs });
+    return token;
+  }
+
+  function getSession(token) {
+    const session = sessions.get(token);
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+      sessions.delete(token);
+      return null;
+    }
+    return session;
+  }
+
+  function destroySession(token) {
+    sessions.delete(token);
+  }
+
+  // Returns { role, via, token } for valid credentials, null when none
+  // were sent, or { invalid: true } for wrong credentials.
+  function identify(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+      const token = authorization.substring(7).trim();
+      const apiKey = apiKeys.find(entry => safeEqual(entry.key, token));
+      if (apiKey) return { role: apiKey.role, via: 'api_key' };
+      const session = getSession(token);
+      if (session) return { role: session.role, via: 'session', token };
+      return { invalid: true };
+    }
+
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (token) {
+      const session = getSession(token);
+      if (session) return { role: session.role, via: 'session', token };
+    }
+    return null;
+  }
+
+  return {
+    enabled,
+    sessionTtlMs,
+    recordFailure,
+    blockedForMs,
+    roleForPassword,
+    createSession,
+    destroySession,
+    identify
+  };
+}
+
+module.exports = { ROLES, SESSION_COOKIE, hasRole, parseApiKeys, parseCookies, createAuth };
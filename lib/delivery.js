@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { DeliveryError } = require('./notifiers');
+
+// ============== NOTIFICATION DELIVERY QUEUE ==============
+// One FIFO queue per channel, processed one message at a time so a
+// rate-limited channel waits (retry_after) without blocking the others.
+// Every message is kept in a bounded delivery log with its status:
+// pending -> sending -> sent | retrying -> ... | failed
+// Every status change is reported through onChange (logging included).
+
+function createDeliveryQueue({
+  getChannel,
+  maxAttempts = 5,
+  baseDelayMs = 2000,
+  maxDelayMs = 5 * 60 * 1000,
+  maxEntries = 200,
+  onChange = () => {}
+}) {
+  const entries = new Map(); // id -> entry, insertion ordered (oldest first)
+  const queues = new Map();  // channel name -> { items, busy, timer }
+
+  function getQueue(channelName) {
+    if (!queues.has(channelName)) {
+      queues.set(channelName, { items: [], busy: false, timer: null });
+    }
+    return queues.get(channelName);
+  }
+
+  function trimLog() {
+    for (const [id, entry] of entries) {
+      if (entries.size <= maxEntries) break;
+      // Never drop messages that are still waiting to be delivered
+      if (entry.status === 'sent' || entry.status === 'failed') {
+        entries.delete(id);
+      }
+    }
+  }
+
+  function enqueue(channelName, event, message, { resendOf = null } = {}) {
+    const entry = {
+      id: crypto.randomUUID(),
+      channel: channelName,
+      event,
+      title: message.embed?.title || message.content || '',
+      message,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: null,
+      sentAt: null,
+      resendOf
+    };
+    entries.set(entry.id, entry);
+    trimLog();
+    getQueue(channelName).items.push(entry);
+    onChange(entry);
+    pump(channelName);
+    return entry;
+  }
+
+  function retryDelay(entry, error) {
+    if (error.retryAfterMs) {
+      return error.retryAfterMs;
+    }
+    return Math.min(baseDelayMs * 2 ** (entry.attempts - 1), maxDelayMs);
+  }
+
+  async function pump(channelName) {
+    const queue = getQueue(channelName);
+    if (queue.busy || queue.timer || queue.items.length === 0) {
+      return;
+    }
+
+    const entry = queue.items[0];
+    const waitMs = entry.nextAttemptAt ? Date.parse(entry.nextAttemptAt) - Date.now() : 0;
+    if (waitMs > 0) {
+      queue.timer = setTimeout(() => {
+        queue.timer = null;
+        pump(channelName);
+      }, waitMs);
+      return;
+    }
+
+    queue.busy = true;
+    entry.status = 'sending';
+    entry.attempts++;
+
+    try {
+      const channel = getChannel(channelName);
+      if (!channel) {
+        throw new DeliveryError('Channel no longer configured');
+      }
+      await channel.send(entry.message, entry.event);
+      entry.status = 'sent';
+      entry.sentAt = new Date().toISOString();
+      entry.lastError = null;
+      entry.nextAttemptAt = null;
+      queue.items.shift();
+    } catch (error) {
+      entry.lastError = error.message;
+      if (error.retryable && entry.attempts < maxAttempts) {
+        const delay = retryDelay(entry, error);
+        entry.status = 'retrying';
+        entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      } else {
+        entry.status = 'failed';
+        entry.nextAttemptAt = null;
+        queue.items.shift();
+      }
+    } finally {
+      queue.busy = false;
+      onChange(entry);
+    }
+
+    pump(channelName);
+  }
+
+  function resend(id) {
+    const original = entries.get(id);
+    if (!original) return null;
+    return enqueue(original.channel, original.event, original.message, { resendOf: id });
+  }
+
+  function list({ status, channel, event, limit = 50 } = {}) {
+    const result = [];
+    for (const entry of Array.from(entries.values()).reverse()) {
+      if (status && entry.status !== status) continue;
+      if (channel && entry.channel !== channel) continue;
+      if (event && entry.event !== event) continue;
+      result.push(entry);
+      if (result.length >= limit) break;
+    }
+    return result;
+  }
+
+  // Log for persistence; restore() requeues messages that were not delivered yet
+  function toJSON() {
+    return Array.from(entries.values());
+  }
+
+  function restore(savedEntries = []) {
+    for (const entry of savedEntries) {
+      entries.set(entry.id, entry);
+      if (['pending', 'sending', 'retrying'].includes(entry.status)) {
+        entry.status = 'pending';
+        getQueue(entry.channel).items.push(entry);
+      }
+    }
+    trimLog();
+    for (const channelName of queues.keys()) {
+      pump(channelName);
+    }
+  }
+
+  function stats() {
+    const counts = { pending: 0, sending: 0, retrying: 0, sent: 0, failed: 0 };
+    for (const entry of entries.values()) {
+      counts[entry.status]++;
+    }
+    return counts;
+  }
+
+  return { enqueue, resend, list, get: (id) => entries.get(id) || null, toJSON, restore, stats };
+}
+
+module.exports = { createDeliveryQueue };
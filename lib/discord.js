@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { postRequest, DeliveryError } = require('./notifiers');
+
+// ============== DISCORD INTERACTIONS ==============
+// Slash commands and buttons reach POST /discord/interactions signed by
+// Discord with the application's Ed25519 key; every request is checked
+// against DISCORD_PUBLIC_KEY before it is read. Answers must come within
+// 3 seconds: slower work replies "deferred" first and sends the result
+// as a follow-up message through the interaction webhook.
+
+const INTERACTION_TYPES = {
+  PING: 1,
+  APPLICATION_COMMAND: 2,
+  MESSAGE_COMPONENT: 3,
+  MODAL_SUBMIT: 5
+};
+
+const RESPONSE_TYPES = {
+  PONG: 1,
+  CHANNEL_MESSAGE: 4,
+  DEFERRED_CHANNEL_MESSAGE: 5,
+  MODAL: 9
+};
+
+const EPHEMERAL_FLAG = 1 << 6;
+
+// Requests older than this are refused, so a captured one cannot be replayed
+const MAX_SIGNATURE_AGE_SECONDS = 5 * 60;
+
+// Discord message limits
+const MAX_CONTENT_LENGTH = 2000;
+const MAX_BUTTON_ROWS = 5;
+
+const OPTION_TYPES = { STRING: 3, NUMBER: 10 };
+
+// Definitions registered with Discord (scripts/discord-interactions.js register)
+const COMMANDS = [
+  {
+    name: 'watch',
+    description: 'Surveiller un produit',
+    options: [
+      { type: OPTION_TYPES.STRING, name: 'url', description: 'URL ou ID du produit Showroomprivé', required: true },
+      { type: OPTION_TYPES.STRING, name: 'sizes', description: 'Tailles à surveiller, ex : M L 42', required: true },
+      { type: OPTION_TYPES.NUMBER, name: 'max_price', description: 'Prix max pour l\'ajout au panier', min_value: 0 },
+      { type: OPTION_TYPES.STRING, name: 'account', description: 'Compte Showroomprivé (défaut : default)' }
+    ]
+  },
+  {
+    name: 'unwatch',
+    description: 'Arrêter de surveiller un produit ou une taille',
+    options: [
+      { type: OPTION_TYPES.STRING, name: 'product', description: 'URL ou ID du produit', required: true },
+      { type: OPTION_TYPES.STRING, name: 'size', description: 'Taille à retirer (toutes si absente)' }
+    ]
+  },
+  {
+    name: 'list',
+    description: 'Produits surveillés et leur stock'
+  },
+  {
+    name: 'stock',
+    description: 'Stock actuel d\'un produit',
+    options: [
+      { type: OPTION_TYPES.STRING, name: 'url', description: 'URL ou ID du produit Showroomprivé', required: true },
+      { type: OPTION_TYPES.STRING, name: 'account', description: 'Compte Showroomprivé (défaut : default)' }
+    ]
+  },
+  {
+    name: 'reset',
+    description: 'Réinitialiser les alertes et le budget d\'un produit',
+    options: [
+      { type: OPTION_TYPES.STRING, name: 'product', description: 'URL ou ID du produit', required: true }
+    ]
+  },
+  {
+    name: 'headers',
+    description: 'Mettre à jour les headers d\'un compte Showroomprivé',
+    options: [
+      { type: OPTION_TYPES.STRING, name: 'account', description: 'Compte Showroomprivé (défaut : default)' }
+    ]
+  }
+];
+
+// ---- Signatures ----
+
+// DISCORD_PUBLIC_KEY is the hex encoded raw 32-byte Ed25519 key
+function parsePublicKey(hex) {
+  if (!/^[0-9a-f]{64}$/i.test(hex || '')) {
+    throw new Error('DISCORD_PUBLIC_KEY must be 64 hex characters');
+  }
+  return crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(hex, 'hex').toString('base64url') },
+    format: 'jwk'
+  });
+}
+
+function verifyInteraction(publicKey, { signature, timestamp, body, now = Date.now() }) {
+  if (!signature || !timestamp || !/^[0-9a-f]{128}$/i.test(signature)) return false;
+  if (Math.abs(now / 1000 - Number(timestamp)) > MAX_SIGNATURE_AGE_SECONDS) return false;
+  return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), body]), publicKey, Buffer.from(signature, 'hex'));
+}
+
+// Key pair for local tests: the public key as Discord shows it, the
+// private key as hex PKCS#8 (DISCORD_TEST_PRIVATE_KEY)
+function generateKeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  return {
+    publicKey: Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url').toString('hex'),
+    privateKey: privateKey.export({ format: 'der', type: 'pkcs8' }).toString('hex')
+  };
+}
+
+function signInteraction(privateKeyHex, timestamp, body) {
+  const privateKey = crypto.createPrivateKey({ key: Buffer.from(privateKeyHex, 'hex'), format: 'der', type: 'pkcs8' });
+  return crypto.sign(null, Buffer.concat([Buffer.from(timestamp), Buffer.from(body)]), privateKey).toString('hex');
+}
+
+// ---- Requests ----
+
+// { name: value } of a slash command's options
+function commandOptions(interaction) {
+  const options = {};
+  for (const option of interaction.data?.options || []) {
+    options[option.name] = option.value;
+  }
+  return options;
+}
+
+// { customId: value } of a modal's text inputs
+function modalValues(interaction) {
+  const values = {};
+  for (const row of interaction.data?.components || []) {
+    for (const component of row.components || []) {
+      values[component.custom_id] = component.value;
+    }
+  }
+  return values;
+}
+
+// User running the interaction (guild member or DM user) and their roles
+function interactionUser(interaction) {
+  const user = interaction.member?.user || interaction.user || {};
+  return { id: user.id || null, name: user.global_name || user.username || null, roles: interaction.member?.roles || [] };
+}
+
+// Buttons and modals carry "<action>:<arg>:<arg>" in their custom_id
+function parseCustomId(customId) {
+  const [action, ...args] = String(customId || '').split(':');
+  return { action, args };
+}
+
+// ---- Responses ----
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+// Reply visible only to the user who ran the command, unless public is set
+function reply(content, { embeds = [], components = [], public: visible = false } = {}) {
+  return {
+    type: RESPONSE_TYPES.CHANNEL_MESSAGE,
+    data: { content: truncate(content, MAX_CONTENT_LENGTH), embeds, components, flags: visible ? 0 : EPHEMERAL_FLAG }
+  };
+}
+
+function deferredReply({ public: visible = false } = {}) {
+  return { type: RESPONSE_TYPES.DEFERRED_CHANNEL_MESSAGE, data: { flags: visible ? 0 : EPHEMERAL_FLAG } };
+}
+
+// One-field modal with a multi-line text input
+function textModal(customId, title, { inputId, label, placeholder = '' }) {
+  return {
+    type: RESPONSE_TYPES.MODAL,
+    data: {
+      custom_id: customId,
+      title,
+      components: [{
+        type: 1,
+        components: [{ type: 4, custom_id: inputId, label, style: 2, placeholder, required: true, max_length: 4000 }]
+      }]
+    }
+  };
+}
+
+// Rows of buttons: [[{ label, customId, style }]], style primary, secondary or danger
+function buttonRows(rows) {
+  const styles = { primary: 1, secondary: 2, danger: 4 };
+  return rows.slice(0, MAX_BUTTON_ROWS).map(buttons => ({
+    type: 1,
+    components: buttons.slice(0, 5).map(({ label, customId, style = 'secondary' }) => ({
+      type: 2,
+      style: styles[style],
+      label: truncate(label, 80),
+      custom_id: customId
+    }))
+  }));
+}
+
+// Result of a deferred interaction; the first follow-up replaces the
+// "thinking" placeholder
+async function sendFollowup(apiUrl, interaction, data) {
+  const response = await postRequest(`${apiUrl.replace(/\/$/, '')}/webhooks/${interaction.application_id}/${interaction.token}`, {
+    ...data,
+    content: truncate(data.content || '', MAX_CONTENT_LENGTH)
+  });
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    throw new DeliveryError(`Discord follow-up error: ${response.statusCode}`, { statusCode: response.statusCode });
+  }
+}
+
+module.exports = {
+  INTERACTION_TYPES,
+  RESPONSE_TYPES,
+  EPHEMERAL_FLAG,
+  COMMANDS,
+  parsePublicKey,
+  verifyInteraction,
+  generateKeyPair,
+  signInteraction,
+  commandOptions,
+  modalValues,
+  interactionUser,
+  parseCustomId,
+  reply,
+  deferredReply,
+  textModal,
+  buttonRows,
+  sendFollowup
+};
@@ -0,0 +1,61 @@
+// ============== SERVER-SENT EVENTS ==============
+// In-process event bus streamed to browsers over SSE. Recent events are
+// kept so a reconnecting client can resume from Last-Event-ID, except
+// those published with replay: false (high-volume streams the client
+// reloads on its own after a reconnect).
+
+function createEventBus({ replaySize = 200, heartbeatMs = 25 * 1000 } = {}) {
+  const clients = new Set();
+  const recent = [];
+  let lastId = 0;
+
+  function write(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  function publish(type, data = {}, { replay = true } = {}) {
+    const event = { id: ++lastId, type, data: { ...data, at: new Date().toISOString() } };
+    if (replay) {
+      recent.push(event);
+      if (recent.length > replaySize) {
+        recent.shift();
+      }
+    }
+    for (const res of clients) {
+      write(res, event);
+    }
+    return event;
+  }
+
+  // Express handler: keeps the response open and streams events
+  function handler(req, res) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // Disable proxy buffering (nginx, Railway edge)
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const lastEventId = Number(req.headers['last-event-id']);
+    if (lastEventId) {
+      for (const event of recent) {
+        if (event.id > lastEventId) write(res, event);
+      }
+    }
+
+    clients.add(res);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(res);
+    });
+  }
+
+  return { publish, handler, clientCount: () => clients.size };
+}
+
+module.exports = { createEventBus };
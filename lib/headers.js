@@ -0,0 +1,351 @@
+// ============== HEADER IMPORT ==============
+// Credentials come from a capture of the app's traffic. Accepted inputs:
+// a raw "Key: value" block, one or more "Copy as cURL" commands, a HAR
+// export (Charles, Proxyman, mitmproxy, browsers) or a mitmproxy flow
+// dump. For captures the most recent request to the app API is used.
+
+const API_HOST = 'mtandao.showroomprive.com';
+
+// Transport headers that must not be replayed from a capture
+const IGNORED_HEADERS = ['host', 'content-length', 'content-type', 'connection', 'accept-encoding', 'transfer-encoding'];
+
+// Shown masked in diffs
+const SECRET_HEADERS = ['token', 'authorization', 'cookie', 'crm'];
+
+function keepHeader(name) {
+  return !!name && !name.startsWith(':') && !name.startsWith('http') && !IGNORED_HEADERS.includes(name);
+}
+
+function collectHeaders(pairs) {
+  const headers = {};
+  for (const [rawName, rawValue] of pairs) {
+    const name = String(rawName).trim().toLowerCase();
+    const value = String(rawValue ?? '').trim();
+    if (value && keepHeader(name)) {
+      headers[name] = value;
+    }
+  }
+  return headers;
+}
+
+function isApiRequest(url) {
+  try {
+    return new URL(url).hostname === API_HOST;
+  } catch (error) {
+    return false;
+  }
+}
+
+// "Key: value" lines, as copied from the app or a proxy's request view
+function parseHeaderBlock(input) {
+  const pairs = [];
+  for (const line of String(input || '').split('\n')) {
+    const colonIndex = line.indexOf(':');
+    if (colonIndex > 0) {
+      pairs.push([line.substring(0, colonIndex), line.substring(colonIndex + 1)]);
+    }
+  }
+  return collectHeaders(pairs);
+}
+
+// ---- cURL ----
+
+// POSIX shell words: quotes, backslash escapes, $'...' and line continuations
+function splitShellWords(input) {
+  const words = [];
+  let current = null;
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (ch === '\\' && (input[i + 1] === '\n' || (input[i + 1] === '\r' && input[i + 2] === '\n'))) {
+      i += input[i + 1] === '\r' ? 3 : 2;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      if (current !== null) words.push(current);
+      current = null;
+      i++;
+      continue;
+    }
+
+    current = current ?? '';
+    if (ch === "'") {
+      const end = input.indexOf("'", i + 1);
+      if (end === -1) throw new Error('Unterminated quote in cURL command');
+      current += input.slice(i + 1, end);
+      i = end + 1;
+    } else if (ch === '$' && input[i + 1] === "'") {
+      i += 2;
+      while (i < input.length && input[i] !== "'") {
+        if (input[i] === '\\' && i + 1 < input.length) {
+          const escaped = input[i + 1];
+          current += { n: '\n', t: '\t', r: '\r' }[escaped] ?? escaped;
+          i += 2;
+        } else {
+          current += input[i++];
+        }
+      }
+      if (i >= input.length) throw new Error('Unterminated quote in cURL command');
+      i++;
+    } else if (ch === '"') {
+      i++;
+      while (i < input.length && input[i] !== '"') {
+        if (input[i] === '\\' && '"\\$`'.includes(input[i + 1])) {
+          current += input[i + 1];
+          i += 2;
+        } else {
+          current += input[i++];
+        }
+      }
+      if (i >= input.length) throw new Error('Unterminated quote in cURL command');
+      i++;
+    } else if (ch === '\\' && i + 1 < input.length) {
+      current += input[i + 1];
+      i += 2;
+    } else {
+      current += ch;
+      i++;
+    }
+  }
+  if (current !== null) words.push(current);
+  return words;
+}
+
+// Options whose value is the next word (other options are flags)
+const CURL_VALUE_OPTIONS = new Set([
+  '-d', '--data', '--data-raw', '--data-binary', '--data-urlencode', '--data-ascii', '-F', '--form',
+  '-o', '--output', '-u', '--user', '-e', '--referer', '-x', '--proxy', '-m', '--max-time',
+  '--connect-timeout', '-w', '--write-out', '--cacert', '--cert', '--key', '-T', '--upload-file',
+  '-b', '--cookie', '-c', '--cookie-jar', '--resolve', '--retry'
+]);
+
+function parseCurl(input) {
+  const commands = [];
+  let command = null;
+
+  for (const word of splitShellWords(input)) {
+    if (word === 'curl') {
+      command = { url: null, pairs: [] };
+      commands.push(command);
+      continue;
+    }
+    if (!command) continue;
+
+    if (command.pendingOption) {
+      const option = command.pendingOption;
+      command.pendingOption = null;
+      if (option === 'header') {
+        const colonIndex = word.indexOf(':');
+        if (colonIndex > 0) command.pairs.push([word.slice(0, colonIndex), word.slice(colonIndex + 1)]);
+      } else if (option === 'user-agent') {
+        command.pairs.push(['user-agent', word]);
+      } else if (option === 'url') {
+        command.url = word;
+      }
+      continue;
+    }
+
+    if (word === '-H' || word === '--header') {
+      command.pendingOption = 'header';
+    } else if (word.startsWith('-H') && word.length > 2) {
+      const header = word.slice(2);
+      const colonIndex = header.indexOf(':');
+      if (colonIndex > 0) command.pairs.push([header.slice(0, colonIndex), header.slice(colonIndex + 1)]);
+    } else if (word === '-A' || word === '--user-agent') {
+      command.pendingOption = 'user-agent';
+    } else if (word === '--url') {
+      command.pendingOption = 'url';
+    } else if (word === '-X' || word === '--request' || CURL_VALUE_OPTIONS.has(word)) {
+      command.pendingOption = 'skip';
+    } else if (!word.startsWith('-') && !command.url) {
+      command.url = word;
+    }
+  }
+
+  if (commands.length === 0) {
+    throw new Error('No cURL command found');
+  }
+  // Pasted in capture order: the last matching command is the most recent
+  const latest = commands.filter(c => isApiRequest(c.url)).pop();
+  if (!latest) {
+    throw new Error(`No ${API_HOST} request in the cURL command(s)`);
+  }
+  return { format: 'curl', headers: collectHeaders(latest.pairs), request: { url: latest.url, startedAt: null } };
+}
+
+// ---- HAR ----
+
+function parseHar(text) {
+  let har;
+  try {
+    har = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid HAR file: ${error.message}`);
+  }
+  const entries = har?.log?.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error('Unrecognized JSON: expected a HAR export (log.entries)');
+  }
+
+  const entry = entries
+    .filter(e => isApiRequest(e?.request?.url))
+    .sort((a, b) => (Date.parse(a.startedDateTime) || 0) - (Date.parse(b.startedDateTime) || 0))
+    .pop();
+  if (!entry) {
+    throw new Error(`No ${API_HOST} request in the HAR file (${entries.length} entries)`);
+  }
+  return {
+    format: 'har',
+    headers: collectHeaders((entry.request.headers || []).map(h => [h.name, h.value])),
+    request: { url: entry.request.url, startedAt: entry.startedDateTime || null }
+  };
+}
+
+// ---- mitmproxy flow dump (tnetstrings) ----
+
+// Returns [value, offset after the value]
+function parseTnetstring(buffer, offset = 0) {
+  const colon = buffer.indexOf(0x3a, offset);
+  const length = colon > offset && colon - offset <= 12 ? Number(buffer.toString('latin1', offset, colon)) : NaN;
+  if (!Number.isInteger(length) || colon + 1 + length >= buffer.length) {
+    throw new Error('Invalid mitmproxy flow file');
+  }
+  const start = colon + 1;
+  const end = start + length;
+  const data = buffer.subarray(start, end);
+  const type = String.fromCharCode(buffer[end]);
+
+  let value;
+  switch (type) {
+    case ',':
+    case ';':
+      value = data.toString('utf8');
+      break;
+    case '#':
+      value = parseInt(data.toString('latin1'), 10);
+      break;
+    case '^':
+      value = parseFloat(data.toString('latin1'));
+      break;
+    case '!':
+      value = data.toString('latin1') === 'true';
+      break;
+    case '~':
+      value = null;
+      break;
+    case ']': {
+      value = [];
+      for (let pos = 0; pos < data.length;) {
+        const [item, next] = parseTnetstring(data, pos);
+        value.push(item);
+        pos = next;
+      }
+      break;
+    }
+    case '}': {
+      value = {};
+      for (let pos = 0; pos < data.length;) {
+        const [key, afterKey] = parseTnetstring(data, pos);
+        const [item, next] = parseTnetstring(data, afterKey);
+        value[key] = item;
+        pos = next;
+      }
+      break;
+    }
+    default:
+      throw new Error('Invalid mitmproxy flow file');
+  }
+  return [value, end + 1];
+}
+
+function parseMitmproxyFlows(buffer) {
+  const flows = [];
+  for (let offset = 0; offset < buffer.length;) {
+    // Tolerate trailing whitespace after the last flow
+    if (/\s/.test(String.fromCharCode(buffer[offset]))) {
+      offset++;
+      continue;
+    }
+    const [flow, next] = parseTnetstring(buffer, offset);
+    flows.push(flow);
+    offset = next;
+  }
+
+  const requests = flows
+    .map(flow => flow?.request)
+    .filter(Boolean)
+    .map(request => {
+      const host = request.host || request.authority || '';
+      const port = request.port && ![80, 443].includes(request.port) ? `:${request.port}` : '';
+      return { request, url: `${request.scheme || 'https'}://${host}${port}${request.path || '/'}` };
+    })
+    .filter(({ url }) => isApiRequest(url))
+    .sort((a, b) => (a.request.timestamp_start || 0) - (b.request.timestamp_start || 0));
+
+  const latest = requests.pop();
+  if (!latest) {
+    throw new Error(`No ${API_HOST} request in the flow file (${flows.length} flows)`);
+  }
+  const startedAt = latest.request.timestamp_start ? new Date(latest.request.timestamp_start * 1000).toISOString() : null;
+  return {
+    format: 'mitmproxy',
+    headers: collectHeaders(latest.request.headers || []),
+    request: { url: latest.url, startedAt }
+  };
+}
+
+// ---- Entry point ----
+
+// input: string (pasted text) or Buffer (uploaded file).
+// Returns { format, headers, request: { url, startedAt } | null, missing }.
+function parseCapture(input) {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(String(input || ''), 'utf8');
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '').trim();
+  if (!text) {
+    throw new Error('Headers are empty');
+  }
+
+  let capture;
+  if (/^\d+:/.test(text)) {
+    capture = parseMitmproxyFlows(buffer);
+  } else if (text.startsWith('{')) {
+    capture = parseHar(text);
+  } else if (/^\s*curl\s/m.test(text)) {
+    capture = parseCurl(text);
+  } else {
+    capture = { format: 'raw', headers: parseHeaderBlock(text), request: null };
+  }
+
+  if (Object.keys(capture.headers).length === 0) {
+    throw new Error('No headers found');
+  }
+  capture.missing = ['token', 'client_num', 'crm'].filter(name => !capture.headers[name]);
+  return capture;
+}
+
+function maskValue(name, value) {
+  if (value === undefined || !SECRET_HEADERS.includes(name)) return value;
+  return value.length > 12 ? `${value.slice(0, 6)}…${value.slice(-4)}` : '••••';
+}
+
+// Header-by-header changes between two request header sets (names are
+// compared case-insensitively); unchanged headers are left out
+function diffHeaders(before, after) {
+  const lower = headers => Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)]));
+  const from = lower(before);
+  const to = lower(after);
+
+  return Array.from(new Set([...Object.keys(from), ...Object.keys(to)]))
+    .sort()
+    .filter(name => from[name] !== to[name])
+    .map(name => ({
+      name,
+      change: from[name] === undefined ? 'added' : to[name] === undefined ? 'removed' : 'changed',
+      before: maskValue(name, from[name]) ?? null,
+      after: maskValue(name, to[name]) ?? null
+    }));
+}
+
+module.exports = { API_HOST, parseHeaderBlock, parseCapture, diffHeaders };
@@ -0,0 +1,136 @@
+// ============== STRUCTURED LOGGING ==============
+// Every entry is { id, time, level, message, ...fields } where fields are
+// flat, searchable values (productId, offerId, account, event...). Entries
+// are written as one JSON object per line (LOG_FORMAT=json, for Railway
+// and log shippers) or as a readable line (pretty), and the latest ones
+// are kept in a ring buffer for GET /api/logs and the web UI.
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+function levelIndex(level) {
+  const index = LEVELS.indexOf(level);
+  if (index === -1) {
+    throw new Error(`Unknown log level "${level}" (expected ${LEVELS.join(', ')})`);
+  }
+  return index;
+}
+
+// Drop empty values and flatten errors to their message
+function cleanFields(fields) {
+  const clean = {};
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === undefined || value === null || value === '') continue;
+    if (value instanceof Error) {
+      clean[name] = value.message;
+      if (value.name && value.name !== 'Error') clean[`${name}Type`] = value.name;
+      if (value.statusCode) clean.statusCode = value.statusCode;
+    } else {
+      clean[name] = value;
+    }
+  }
+  return clean;
+}
+
+function prettyTime(iso) {
+  return new Date(iso).toLocaleString('fr-FR', {
+    day: '2-digit', month: '2-digit', year: 'numeric',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+}
+
+function formatPretty(entry) {
+  const { id, time, level, message, ...fields } = entry;
+  const extra = Object.entries(fields).map(([name, value]) => `${name}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  return `[${prettyTime(time)}] ${level.toUpperCase().padEnd(5)} ${message}${extra.length ? `  ${extra.join(' ')}` : ''}`;
+}
+
+function createLogger({
+  level = 'info',
+  format = 'json',
+  maxEntries = 1000,
+  onEntry = () => {},
+  stdout = process.stdout,
+  stderr = process.stderr
+} = {}) {
+  const minLevel = levelIndex(level);
+  if (!['json', 'pretty'].includes(format)) {
+    throw new Error(`Unknown log format "${format}" (expected json or pretty)`);
+  }
+  const entries = [];
+  let lastId = 0;
+
+  function write(entryLevel, message, fields = {}) {
+    if (levelIndex(entryLevel) < minLevel) return null;
+
+    const entry = { id: ++lastId, time: new Date().toISOString(), level: entryLevel, message: String(message), ...cleanFields(fields) };
+    entries.push(entry);
+    if (entries.length > maxEntries) {
+      entries.shift();
+    }
+
+    const line = format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    (levelIndex(entryLevel) >= levelIndex('warn') ? stderr : stdout).write(line + '\n');
+    try {
+      onEntry(entry);
+    } catch (error) {
+      stderr.write(`Log listener failed: ${error.message}\n`);
+    }
+    return entry;
+  }
+
+  // Logger with fields bound to every entry, e.g. child({ productId })
+  function child(bound) {
+    const withFields = fields => ({ ...bound, ...fields });
+    return {
+      debug: (message, fields) => write('debug', message, withFields(fields)),
+      info: (message, fields) => write('info', message, withFields(fields)),
+      warn: (message, fields) => write('warn', message, withFields(fields)),
+      error: (message, fields) => write('error', message, withFields(fields)),
+      child: more => child(withFields(more))
+    };
+  }
+
+  // Latest `limit` matching entries, oldest first. `level` is a minimum,
+  // `after` an entry id (to resume a tail), `q` a case-insensitive search
+  // in the message; other filters are exact field matches.
+  function list({ level: minimum, since, until, after, q, limit = 200, ...fieldFilters } = {}) {
+    const minIndex = minimum ? levelIndex(minimum) : 0;
+    const sinceTime = since ? Date.parse(since) : null;
+    const untilTime = until ? Date.parse(until) : null;
+    const afterId = after ? Number(after) : 0;
+    const search = q ? String(q).toLowerCase() : null;
+    const filters = Object.entries(fieldFilters).filter(([, value]) => value !== undefined && value !== '');
+
+    const matches = entries.filter(entry =>
+      levelIndex(entry.level) >= minIndex
+      && entry.id > afterId
+      && (sinceTime === null || Date.parse(entry.time) >= sinceTime)
+      && (untilTime === null || Date.parse(entry.time) <= untilTime)
+      && (!search || entry.message.toLowerCase().includes(search))
+      && filters.every(([name, value]) => entry[name] !== undefined && String(entry[name]) === String(value))
+    );
+    return matches.slice(-Math.max(1, limit));
+  }
+
+  function toJSON() {
+    return entries;
+  }
+
+  function restore(saved = []) {
+    const restored = saved.filter(entry => entry && Number.isInteger(entry.id)).slice(-maxEntries);
+    // Keep entries logged before the state was loaded, after the restored ones
+    const current = entries.splice(0, entries.length);
+    entries.push(...restored);
+    lastId = Math.max(lastId, ...restored.map(entry => entry.id));
+    for (const entry of current) {
+      entries.push({ ...entry, id: ++lastId });
+    }
+    while (entries.length > maxEntries) {
+      entries.shift();
+    }
+  }
+
+  return { ...child({}), list, toJSON, restore, levels: LEVELS };
+}
+
+module.exports = { LEVELS, createLogger };
@@ -0,0 +1,85 @@
+// ============== PRODUCT METADATA CACHE ==============
+// Product details (name, brand, images, sale) rarely change, so they are
+// fetched once per product and refreshed after ttlMs, or as soon as the
+// sale they belong to has ended. Concurrent lookups share one request and
+// a failed lookup is not retried before retryMs.
+
+function createMetadataCache({
+  fetchDetails,
+  ttlMs = 12 * 60 * 60 * 1000,
+  retryMs = 15 * 60 * 1000,
+  maxEntries = 500
+}) {
+  const entries = new Map();  // productId -> details, oldest first
+  const inflight = new Map(); // productId -> pending promise
+  const failures = new Map(); // productId -> last failure timestamp
+
+  function isStale(details, now = Date.now()) {
+    if (!details?.fetchedAt) return true;
+    const fetchedAt = Date.parse(details.fetchedAt);
+    if (now - fetchedAt >= ttlMs) return true;
+    const saleEnd = Date.parse(details.sale?.endsAt);
+    return saleEnd < now && fetchedAt < saleEnd;
+  }
+
+  function peek(productId) {
+    return entries.get(String(productId)) || null;
+  }
+
+  // True when a background refresh is due (stale and not recently failed)
+  function needsRefresh(productId, now = Date.now()) {
+    const id = String(productId);
+    if (inflight.has(id) || now - (failures.get(id) || 0) < retryMs) return false;
+    return isStale(entries.get(id), now);
+  }
+
+  function trim() {
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  async function get(productId, { force = false, ...options } = {}) {
+    const id = String(productId);
+    const cached = entries.get(id);
+    if (cached && !force && !isStale(cached)) {
+      return cached;
+    }
+    if (inflight.has(id)) {
+      return inflight.get(id);
+    }
+
+    const request = (async () => {
+      try {
+        const details = { ...await fetchDetails(id, options), fetchedAt: new Date().toISOString() };
+        failures.delete(id);
+        entries.delete(id);
+        entries.set(id, details);
+        trim();
+        return details;
+      } catch (error) {
+        failures.set(id, Date.now());
+        throw error;
+      } finally {
+        inflight.delete(id);
+      }
+    })();
+    inflight.set(id, request);
+    return request;
+  }
+
+  function toJSON() {
+    return Object.fromEntries(entries);
+  }
+
+  function restore(saved = {}) {
+    for (const [id, details] of Object.entries(saved)) {
+      entries.set(id, details);
+    }
+    trim();
+  }
+
+  return { get, peek, isStale, needsRefresh, toJSON, restore };
+}
+
+module.exports = { createMetadataCache };
@@ -0,0 +1,138 @@
+// ============== PROMETHEUS METRICS ==============
+// Minimal registry for the Prometheus text exposition format (0.0.4):
+// labelled counters, gauges and histograms. Gauges that mirror existing
+// state take a collect() callback run at scrape time instead of being
+// updated on every change.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; suited to HTTP calls and scheduler delays
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) return '';
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function createRegistry({ logger = console } = {}) {
+  const metrics = [];
+
+  function register(type, { name, help, labelNames = [] }, extra = {}) {
+    if (metrics.some(metric => metric.name === name)) {
+      throw new Error(`Metric ${name} is already registered`);
+    }
+    const metric = { type, name, help, labelNames, series: new Map(), ...extra };
+    metrics.push(metric);
+    return metric;
+  }
+
+  // Series are keyed by their label values, in labelNames order
+  function seriesKey(metric, labels = {}) {
+    return JSON.stringify(metric.labelNames.map(name => String(labels[name] ?? '')));
+  }
+
+  function getSeries(metric, labels, init) {
+    const key = seriesKey(metric, labels);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { labels: metric.labelNames.map(name => [name, labels?.[name] ?? '']), ...init() });
+    }
+    return metric.series.get(key);
+  }
+
+  // Drop every series whose labels include the given ones (e.g. a removed product)
+  function removeMatching(metric, labels) {
+    for (const [key, series] of metric.series) {
+      if (series.labels.every(([name, value]) => labels[name] === undefined || String(labels[name]) === String(value))) {
+        metric.series.delete(key);
+      }
+    }
+  }
+
+  function counter(options) {
+    const metric = register('counter', options);
+    return {
+      inc(labels = {}, value = 1) {
+        getSeries(metric, labels, () => ({ value: 0 })).value += value;
+      },
+      remove: labels => removeMatching(metric, labels)
+    };
+  }
+
+  function gauge({ collect = null, ...options }) {
+    const metric = register('gauge', options);
+    const handle = {
+      set(labels = {}, value) {
+        getSeries(metric, labels, () => ({ value: 0 })).value = value;
+      },
+      reset() {
+        metric.series.clear();
+      },
+      remove: labels => removeMatching(metric, labels)
+    };
+    metric.collect = collect ? () => collect(handle) : null;
+    return handle;
+  }
+
+  function histogram({ buckets = DEFAULT_BUCKETS, ...options }) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const metric = register('histogram', options, { bounds });
+    return {
+      observe(labels = {}, value) {
+        const series = getSeries(metric, labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+        bounds.forEach((bound, i) => {
+          if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+      },
+      remove: labels => removeMatching(metric, labels)
+    };
+  }
+
+  function renderMetric(metric) {
+    const lines = [
+      `# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${metric.name} ${metric.type}`
+    ];
+    for (const series of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+        continue;
+      }
+      // Bucket counts are cumulative
+      metric.bounds.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels([...series.labels, ['le', formatValue(bound)]])} ${series.counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels([...series.labels, ['le', '+Inf']])} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines.join('\n');
+  }
+
+  function render() {
+    for (const metric of metrics) {
+      if (!metric.collect) continue;
+      try {
+        metric.collect();
+      } catch (error) {
+        logger.error(`Failed to collect metric ${metric.name}: ${error.message}`);
+      }
+    }
+    return metrics.map(renderMetric).join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render, contentType: CONTENT_TYPE };
+}
+
+module.exports = { DEFAULT_BUCKETS, createRegistry };
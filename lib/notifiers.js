@@ -0,0 +1,287 @@
+const http = require('http');
+const https = require('https');
+
+// ============== NOTIFICATION CHANNELS ==============
+// Every channel takes the same message: { content, embed, silent, components }
+// where embed uses Discord's embed shape ({ title, description, color,
+// fields, footer, timestamp }). Non-Discord backends translate it to their
+// format. silent messages (quiet hours) are delivered without a push
+// notification where the backend supports it; components (Discord buttons)
+// are only sent by Discord channels posting as the bot.
+
+const EVENT_TYPES = ['stock', 'cart', 'price', 'low_stock', 'token_expired', 'reservation', 'collection', 'digest'];
+
+// Discord message flag SUPPRESS_NOTIFICATIONS ("@silent")
+const DISCORD_SILENT_FLAG = 1 << 12;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Error raised by channel backends. `retryable` tells the delivery queue
+// whether another attempt makes sense; `retryAfterMs` comes from 429 responses.
+class DeliveryError extends Error {
+  constructor(message, { statusCode = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.statusCode = statusCode;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function postRequest(url, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+
+    const req = client.request({
+      hostname: target.hostname,
+      port: target.port || (target.protocol === 'http:' ? 80 : 443),
+      path: target.pathname + target.search,
+      method: 'POST',
+      headers: {
+        'Content-Type': typeof body === 'string' ? 'text/plain; charset=utf-8' : 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        ...headers
+      }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') });
+      });
+    });
+
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      req.destroy(new DeliveryError(`Request timed out after ${REQUEST_TIMEOUT_MS / 1000}s`, { retryable: true }));
+    });
+    req.on('error', (error) => {
+      reject(error instanceof DeliveryError ? error : new DeliveryError(error.message, { retryable: true }));
+    });
+    req.write(payload);
+    req.end();
+  });
+}
+
+// Retry delay for 429 responses: Discord sends retry_after (seconds) in
+// the body, Telegram in parameters.retry_after, others a Retry-After header.
+function parseRetryAfterMs(response) {
+  try {
+    const body = JSON.parse(response.body);
+    const seconds = body.retry_after ?? body.parameters?.retry_after;
+    if (typeof seconds === 'number') {
+      return Math.ceil(seconds * 1000);
+    }
+  } catch (e) { /* not JSON */ }
+
+  const header = Number(response.headers?.['retry-after']);
+  return Number.isFinite(header) ? header * 1000 : null;
+}
+
+function ensureOk(channelName, response) {
+  const { statusCode } = response;
+  if (statusCode >= 200 && statusCode < 300) {
+    return true;
+  }
+  if (statusCode === 429) {
+    throw new DeliveryError(`${channelName} rate limited (429)`, {
+      statusCode,
+      retryable: true,
+      retryAfterMs: parseRetryAfterMs(response)
+    });
+  }
+  throw new DeliveryError(`${channelName} error: ${statusCode}`, {
+    statusCode,
+    retryable: statusCode >= 500
+  });
+}
+
+// ---- Discord markdown conversion ----
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function markdownToHtml(text) {
+  return escapeHtml(text)
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>')
+    .replace(/\*\*([^*]+)\*\*/g, '<b>$1</b>')
+    .replace(/~~([^~]+)~~/g, '<s>$1</s>')
+    .replace(/`([^`]+)`/g, '<code>$1</code>');
+}
+
+function markdownToSlack(text) {
+  return String(text)
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<$2|$1>')
+    .replace(/\*\*([^*]+)\*\*/g, '*$1*')
+    .replace(/~~([^~]+)~~/g, '~$1~');
+}
+
+function markdownToPlain(text) {
+  return String(text)
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1: $2')
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/~~([^~]+)~~/g, '$1')
+    .replace(/`([^`]+)`/g, '$1');
+}
+
+// Strip Discord mentions (@everyone, @here, <@user>, <@&role>) from the headline for other channels
+function stripMentions(text) {
+  return String(text || '').replace(/(@(everyone|here)|<@[!&]?\d+>)\s*/g, '').trim();
+}
+
+function messageLines(message, convert) {
+  const { embed = {} } = message;
+  const lines = [];
+  if (embed.description) lines.push(convert(embed.description));
+  for (const field of embed.fields || []) {
+    lines.push(`${field.name}: ${convert(field.value)}`);
+  }
+  if (embed.footer?.text) lines.push(convert(embed.footer.text));
+  return lines;
+}
+
+// ---- Backends ----
+
+// Posts through a webhook, or as the bot (botToken + channelId): only bot
+// messages can carry the buttons of message.components
+function createDiscordChannel({ name = 'discord', webhookUrl, botToken, channelId, baseUrl = 'https://discord.com/api/v10' }) {
+  const asBot = !!(botToken && channelId);
+  if (!webhookUrl && !asBot) throw new Error(`Channel ${name}: webhookUrl or botToken and channelId are required`);
+  return {
+    name,
+    type: 'discord',
+    async send(message) {
+      const body = {
+        content: message.content,
+        embeds: message.embed ? [message.embed] : [],
+        ...(message.silent && { flags: DISCORD_SILENT_FLAG })
+      };
+      const response = asBot
+        ? await postRequest(`${baseUrl.replace(/\/$/, '')}/channels/${channelId}/messages`, {
+          ...body,
+          ...(message.components?.length && { components: message.components })
+        }, { 'Authorization': `Bot ${botToken}` })
+        : await postRequest(webhookUrl, body);
+      return ensureOk('Discord', response);
+    }
+  };
+}
+
+function createTelegramChannel({ name = 'telegram', botToken, chatId, baseUrl = 'https://api.telegram.org' }) {
+  if (!botToken || !chatId) throw new Error(`Channel ${name}: botToken and chatId are required`);
+  return {
+    name,
+    type: 'telegram',
+    async send(message) {
+      const headline = stripMentions(message.content);
+      const title = message.embed?.title;
+      const text = [
+        headline && markdownToHtml(headline),
+        title && title !== headline && `<b>${escapeHtml(title)}</b>`,
+        ...messageLines(message, markdownToHtml)
+      ].filter(Boolean).join('\n');
+
+      const response = await postRequest(`${baseUrl.replace(/\/$/, '')}/bot${botToken}/sendMessage`, {
+        chat_id: chatId,
+        text,
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+        disable_notification: !!message.silent
+      });
+      return ensureOk('Telegram', response);
+    }
+  };
+}
+
+function createSlackChannel({ name = 'slack', webhookUrl }) {
+  if (!webhookUrl) throw new Error(`Channel ${name}: webhookUrl is required`);
+  return {
+    name,
+    type: 'slack',
+    async send(message) {
+      const headline = markdownToSlack(stripMentions(message.content) || message.embed?.title || '');
+      const response = await postRequest(webhookUrl, {
+        text: headline,
+        blocks: [
+          { type: 'section', text: { type: 'mrkdwn', text: headline } },
+          { type: 'section', text: { type: 'mrkdwn', text: messageLines(message, markdownToSlack).join('\n') || ' ' } }
+        ]
+      });
+      return ensureOk('Slack', response);
+    }
+  };
+}
+
+function createNtfyChannel({ name = 'ntfy', topic, baseUrl = 'https://ntfy.sh', token = '', priority = 'high' }) {
+  if (!topic) throw new Error(`Channel ${name}: topic is required`);
+  return {
+    name,
+    type: 'ntfy',
+    async send(message) {
+      const title = markdownToPlain(message.embed?.title || stripMentions(message.content));
+      const headers = {
+        // HTTP headers must stay ASCII: non-ASCII titles use RFC 2047 encoding, which ntfy decodes
+        'Title': /^[\x20-\x7E]*$/.test(title) ? title : `=?UTF-8?B?${Buffer.from(title).toString('base64')}?=`,
+        'Priority': message.silent ? 'low' : priority
+      };
+      const link = (message.embed?.fields || [])
+        .map(field => String(field.value).match(/\]\((https?:[^)]+)\)/))
+        .find(Boolean);
+      if (link) headers['Click'] = link[1];
+      if (token) headers['Authorization'] = `Bearer ${token}`;
+
+      const body = [stripMentions(markdownToPlain(message.content)), ...messageLines(message, markdownToPlain)]
+        .filter(Boolean)
+        .join('\n');
+      const response = await postRequest(`${baseUrl.replace(/\/$/, '')}/${encodeURIComponent(topic)}`, body, headers);
+      return ensureOk('ntfy', response);
+    }
+  };
+}
+
+function createWebhookChannel({ name = 'webhook', url, headers = {} }) {
+  if (!url) throw new Error(`Channel ${name}: url is required`);
+  return {
+    name,
+    type: 'webhook',
+    async send(message, event) {
+      const response = await postRequest(url, {
+        event,
+        content: message.content,
+        embed: message.embed,
+        silent: !!message.silent,
+        sentAt: new Date().toISOString()
+      }, headers);
+      return ensureOk('Webhook', response);
+    }
+  };
+}
+
+const CHANNEL_FACTORIES = {
+  discord: createDiscordChannel,
+  telegram: createTelegramChannel,
+  slack: createSlackChannel,
+  ntfy: createNtfyChannel,
+  webhook: createWebhookChannel
+};
+
+function createChannel(definition) {
+  const factory = CHANNEL_FACTORIES[definition.type];
+  if (!factory) {
+    throw new Error(`Unknown channel type: ${definition.type}`);
+  }
+  return factory(definition);
+}
+
+// Hide secrets when returning channel definitions through the API
+function redactChannel(definition) {
+  const secretKeys = ['webhookUrl', 'botToken', 'token', 'url', 'headers'];
+  const redacted = {};
+  for (const [key, value] of Object.entries(definition)) {
+    redacted[key] = secretKeys.includes(key) && value ? '***' : value;
+  }
+  return redacted;
+}
+
+module.exports = { EVENT_TYPES, DeliveryError, createChannel, redactChannel, postRequest };
@@ -0,0 +1,188 @@
+const { normalizeSchedule, evaluateSchedule } = require('./schedule');
+
+// ============== NOTIFICATION POLICIES ==============
+// A policy says how an alert goes out, not whether the bot acts on it
+// (cart adds happen whatever the policy):
+//   mention                 who is pinged: "everyone", "here", "role:<id>",
+//                           "user:<id>" or raw Discord mentions; [] for nobody
+//   quietHours              [{ days, start, end }] local times (see
+//                           lib/schedule.js) when alerts are sent silently
+//   repeatIntervalMinutes   minimum time between two alerts for the same
+//                           size (a size flapping in and out of stock)
+//   lowStockThreshold       alert when a watched size in stock drops to
+//                           this many units or fewer (null = never)
+//   digest                  collect alerts for the daily digest instead of
+//                           sending them right away
+// A policy set is a policy whose `events` map overrides fields per event
+// type. Policy sets apply in layers (global, then product); a field left
+// out of a layer is inherited, a field set to null turns it off.
+
+const DEFAULT_POLICY = {
+  mention: ['@everyone'],
+  quietHours: [],
+  repeatIntervalMinutes: 0,
+  lowStockThreshold: null,
+  digest: false
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_POLICY);
+
+// "role:123" -> "<@&123>", "user:123" -> "<@123>", "everyone" -> "@everyone"
+function parseMention(value) {
+  const text = String(value).trim();
+  if (/^@?(everyone|here)$/.test(text)) return `@${text.replace('@', '')}`;
+  if (/^<@[!&]?\d+>$/.test(text)) return text;
+  const match = /^(role|user):\s*(\d+)$/.exec(text);
+  if (!match) {
+    throw new Error(`Invalid mention "${text}" (expected everyone, here, role:<id> or user:<id>)`);
+  }
+  return match[1] === 'role' ? `<@&${match[2]}>` : `<@${match[2]}>`;
+}
+
+function parseMentions(value) {
+  if (value === null || value === 'none' || value === '') return [];
+  const items = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  return Array.from(new Set(items.filter(item => String(item).trim()).map(parseMention)));
+}
+
+function parseQuietHours(value) {
+  if (value === null) return [];
+  const windows = Array.isArray(value) ? value : [value];
+  return normalizeSchedule({ windows }).windows.map(({ days, start, end }) => ({ days, start, end }));
+}
+
+function parsePolicyFields(input, path) {
+  const policy = {};
+  const has = field => Object.prototype.hasOwnProperty.call(input, field);
+
+  if (has('mention')) {
+    policy.mention = parseMentions(input.mention);
+  }
+  if (has('quietHours')) {
+    try {
+      policy.quietHours = parseQuietHours(input.quietHours);
+    } catch (error) {
+      throw new Error(`${path}quietHours: ${error.message}`);
+    }
+  }
+  if (has('repeatIntervalMinutes')) {
+    const minutes = input.repeatIntervalMinutes === null || input.repeatIntervalMinutes === '' ? 0 : Number(input.repeatIntervalMinutes);
+    if (!Number.isFinite(minutes) || minutes < 0) {
+      throw new Error(`${path}repeatIntervalMinutes must be a positive number of minutes`);
+    }
+    policy.repeatIntervalMinutes = minutes;
+  }
+  if (has('lowStockThreshold')) {
+    const threshold = input.lowStockThreshold === null || input.lowStockThreshold === '' ? null : Number(input.lowStockThreshold);
+    if (threshold !== null && (!Number.isInteger(threshold) || threshold < 1)) {
+      throw new Error(`${path}lowStockThreshold must be a positive integer`);
+    }
+    policy.lowStockThreshold = threshold;
+  }
+  if (has('digest')) {
+    policy.digest = !!input.digest;
+  }
+  return policy;
+}
+
+// Validated copy of a policy set from API input; null clears it.
+// eventTypes lists the event types `events` may override.
+function normalizePolicySet(input, { eventTypes }) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('notification policy must be an object');
+  }
+  const unknown = Object.keys(input).filter(field => field !== 'events' && !POLICY_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown notification policy field(s): ${unknown.join(', ')}`);
+  }
+
+  const policySet = parsePolicyFields(input, '');
+  if (input.events !== undefined && input.events !== null) {
+    if (typeof input.events !== 'object' || Array.isArray(input.events)) {
+      throw new Error('events must map event types to policies');
+    }
+    policySet.events = {};
+    for (const [event, policy] of Object.entries(input.events)) {
+      if (!eventTypes.includes(event)) {
+        throw new Error(`Unknown event type: ${event}`);
+      }
+      if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        throw new Error(`events.${event} must be an object`);
+      }
+      policySet.events[event] = parsePolicyFields(policy, `events.${event}.`);
+    }
+  }
+  return policySet;
+}
+
+// Effective policy for one event. layers: policy sets, least specific first
+function resolvePolicy(event, layers) {
+  const policy = { ...DEFAULT_POLICY };
+  for (const layer of layers) {
+    if (!layer) continue;
+    for (const source of [layer, layer.events?.[event]]) {
+      for (const field of POLICY_FIELDS) {
+        if (source && source[field] !== undefined) policy[field] = source[field];
+      }
+    }
+  }
+  return policy;
+}
+
+function isQuietTime(policy, { now = Date.now(), timeZone } = {}) {
+  if (!policy.quietHours || policy.quietHours.length === 0) return false;
+  return evaluateSchedule({ timeZone: null, windows: policy.quietHours, drops: [] }, { now, timeZone }).active;
+}
+
+function formatMention(policy) {
+  return (policy.mention || []).join(' ');
+}
+
+// ---- Daily digest ----
+
+// Alerts held back by digest policies until the next digest goes out
+function createDigest({ maxItems = 500 } = {}) {
+  const items = [];
+  let dropped = 0;
+
+  function add(item) {
+    items.push({ at: new Date().toISOString(), ...item });
+    if (items.length > maxItems) {
+      items.shift();
+      dropped++;
+    }
+  }
+
+  // Returns and clears the collected alerts
+  function drain() {
+    const drained = { items: items.splice(0, items.length), dropped };
+    dropped = 0;
+    return drained;
+  }
+
+  function toJSON() {
+    return { items, dropped };
+  }
+
+  function restore(saved = {}) {
+    items.unshift(...(saved.items || []).filter(item => item && item.event));
+    dropped += saved.dropped || 0;
+    while (items.length > maxItems) {
+      items.shift();
+      dropped++;
+    }
+  }
+
+  return { add, drain, list: () => items.slice(), toJSON, restore, size: () => items.length };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  parseMentions,
+  normalizePolicySet,
+  resolvePolicy,
+  isQuietTime,
+  formatMention,
+  createDigest
+};
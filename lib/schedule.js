@@ -0,0 +1,264 @@
+// ============== WATCH SCHEDULES ==============
+// A schedule says when a product is checked and how often:
+//   windows  [{ days, start, end, intervalSeconds }] checks only run inside
+//            one of them (no windows = around the clock). start/end are
+//            "HH:MM" local times; an end before the start spans midnight.
+//   drops    [{ at, days, beforeSeconds, afterSeconds, intervalSeconds }]
+//            burst phase around a drop time: a check every intervalSeconds
+//            from `at - beforeSeconds` to `at + afterSeconds`, windows or not.
+//            `at` is "HH:MM" (every listed day) or an ISO date (once).
+// days accept English or French names ("mon", "lundi"), lists and ranges
+// ("mon-fri"); none means every day. Local times use the schedule's
+// timeZone (IANA name) or the default one.
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const FRENCH_DAY_NAMES = ['dim', 'lun', 'mar', 'mer', 'jeu', 'ven', 'sam'];
+
+const DEFAULT_BURST = { beforeSeconds: 30, afterSeconds: 300, intervalSeconds: 2 };
+// Daily drops are matched within half a day of their time
+const MAX_BURST_SIDE_SECONDS = 12 * 3600;
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function assertTimeZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+  } catch {
+    throw new Error(`Unknown time zone "${timeZone}"`);
+  }
+  return timeZone;
+}
+
+// Wall-clock reading of an instant in a time zone
+function localParts(time, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(new Date(time))) {
+    parts[type] = value;
+  }
+  return {
+    day: DAY_NAMES.indexOf(parts.weekday.slice(0, 3).toLowerCase()),
+    year: Number(parts.year),
+    month: Number(parts.month),
+    date: Number(parts.day),
+    seconds: Number(parts.hour) * 3600 + Number(parts.minute) * 60 + Number(parts.second)
+  };
+}
+
+// ---- Validation ----
+
+function parseDay(name) {
+  const prefix = String(name).trim().toLowerCase().slice(0, 3);
+  const index = DAY_NAMES.includes(prefix) ? DAY_NAMES.indexOf(prefix) : FRENCH_DAY_NAMES.indexOf(prefix);
+  if (index === -1) {
+    throw new Error(`Unknown day "${name}" (expected mon, tue... or lun, mar...)`);
+  }
+  return index;
+}
+
+// ["mon-fri", "sun"] or "mon-fri,sun" -> ["mon", "tue", "wed", "thu", "fri", "sun"]; null for every day
+function parseDays(days) {
+  if (days === undefined || days === null || days === '') return null;
+  const items = (Array.isArray(days) ? days : String(days).split(',')).map(item => String(item).trim()).filter(Boolean);
+  const indexes = new Set();
+  for (const item of items) {
+    const [from, to] = item.split('-');
+    const start = parseDay(from);
+    const end = to === undefined ? start : parseDay(to);
+    for (let i = start; ; i = (i + 1) % 7) {
+      indexes.add(i);
+      if (i === end) break;
+    }
+  }
+  if (indexes.size === 0 || indexes.size === 7) return null;
+  // Monday first, as written in France
+  return [1, 2, 3, 4, 5, 6, 0].filter(i => indexes.has(i)).map(i => DAY_NAMES[i]);
+}
+
+function parseClock(value, field) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`${field} must be a time like "07:00"`);
+  }
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+function clockSeconds(clock) {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 3600 + minutes * 60;
+}
+
+function parseSeconds(value, field, { min = 0, max = Infinity, fallback = null } = {}) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < min || seconds > max) {
+    throw new Error(`${field} must be between ${min} and ${max} seconds`);
+  }
+  return seconds;
+}
+
+// Validated copy of a schedule from API input; null clears it.
+// minIntervalSeconds bounds the window and burst intervals.
+function normalizeSchedule(input, { minIntervalSeconds = 1 } = {}) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('schedule must be an object with windows and/or drops');
+  }
+  const interval = (value, field, fallback = null) => parseSeconds(value, field, { min: minIntervalSeconds, fallback });
+
+  const windows = (Array.isArray(input.windows) ? input.windows : []).map((window, i) => ({
+    days: parseDays(window?.days),
+    start: parseClock(window?.start, `windows[${i}].start`),
+    end: parseClock(window?.end, `windows[${i}].end`),
+    intervalSeconds: interval(window?.intervalSeconds, `windows[${i}].intervalSeconds`)
+  }));
+
+  const drops = (Array.isArray(input.drops) ? input.drops : []).map((drop, i) => {
+    const field = `drops[${i}]`;
+    const at = String(drop?.at ?? '').trim();
+    const daily = /^\d{1,2}:\d{2}$/.test(at);
+    if (!daily && Number.isNaN(Date.parse(at))) {
+      throw new Error(`${field}.at must be a time like "07:00" or an ISO date`);
+    }
+    const maxSide = daily ? MAX_BURST_SIDE_SECONDS : Infinity;
+    return {
+      at: daily ? parseClock(at, `${field}.at`) : new Date(at).toISOString(),
+      days: daily ? parseDays(drop.days) : null,
+      beforeSeconds: parseSeconds(drop.beforeSeconds, `${field}.beforeSeconds`, { max: maxSide, fallback: DEFAULT_BURST.beforeSeconds }),
+      afterSeconds: parseSeconds(drop.afterSeconds, `${field}.afterSeconds`, { max: maxSide, fallback: DEFAULT_BURST.afterSeconds }),
+      intervalSeconds: interval(drop.intervalSeconds, `${field}.intervalSeconds`, Math.max(DEFAULT_BURST.intervalSeconds, minIntervalSeconds))
+    };
+  });
+
+  return {
+    timeZone: input.timeZone ? assertTimeZone(String(input.timeZone)) : null,
+    windows,
+    drops
+  };
+}
+
+// ---- Evaluation ----
+
+function onDay(days, day) {
+  return !days || days.includes(DAY_NAMES[day]);
+}
+
+// Drop time whose burst phase contains `now`, in ms, or null
+function burstDropAt(drop, now, timeZone) {
+  let dropAt;
+  if (drop.at.includes('T')) {
+    dropAt = Date.parse(drop.at);
+  } else {
+    // Nearest occurrence of the local time, within half a day either way
+    const local = localParts(now, timeZone);
+    let offsetSeconds = local.seconds - clockSeconds(drop.at);
+    if (offsetSeconds > 12 * 3600) offsetSeconds -= 24 * 3600;
+    if (offsetSeconds <= -12 * 3600) offsetSeconds += 24 * 3600;
+    dropAt = Math.floor(now / 1000) * 1000 - offsetSeconds * 1000;
+    if (!onDay(drop.days, localParts(dropAt, timeZone).day)) return null;
+  }
+  const inBurst = now >= dropAt - drop.beforeSeconds * 1000 && now < dropAt + drop.afterSeconds * 1000;
+  return inBurst ? dropAt : null;
+}
+
+function inWindow(window, local) {
+  const start = clockSeconds(window.start);
+  const end = clockSeconds(window.end);
+  if (start < end) {
+    return onDay(window.days, local.day) && local.seconds >= start && local.seconds < end;
+  }
+  // Spans midnight (or the whole day when start == end): the part after
+  // midnight belongs to the previous day's window
+  return (onDay(window.days, local.day) && local.seconds >= start)
+    || (onDay(window.days, (local.day + 6) % 7) && local.seconds < end);
+}
+
+// Where `now` falls in the schedule:
+//   { phase: 'always' | 'window' | 'burst' | 'off', active, intervalMs, dropAt, burstEndsAt }
+// intervalMs is null when the product's own interval applies.
+function evaluateSchedule(schedule, { now = Date.now(), timeZone } = {}) {
+  if (!schedule) {
+    return { phase: 'always', active: true, intervalMs: null, dropAt: null, burstEndsAt: null };
+  }
+  const zone = schedule.timeZone || timeZone;
+
+  for (const drop of schedule.drops) {
+    const dropAt = burstDropAt(drop, now, zone);
+    if (dropAt !== null) {
+      return {
+        phase: 'burst',
+        active: true,
+        intervalMs: drop.intervalSeconds * 1000,
+        dropAt: new Date(dropAt).toISOString(),
+        burstEndsAt: new Date(dropAt + drop.afterSeconds * 1000).toISOString()
+      };
+    }
+  }
+
+  if (schedule.windows.length === 0) {
+    return { phase: 'always', active: true, intervalMs: null, dropAt: null, burstEndsAt: null };
+  }
+  const local = localParts(now, zone);
+  const window = schedule.windows.find(candidate => inWindow(candidate, local));
+  return {
+    phase: window ? 'window' : 'off',
+    active: !!window,
+    intervalMs: window?.intervalSeconds ? window.intervalSeconds * 1000 : null,
+    dropAt: null,
+    burstEndsAt: null
+  };
+}
+
+// Next time a local "HH:MM" on one of `days` comes after `after`, within a week.
+// The UTC offset is read at `after`, so it may be an hour off across a DST change.
+function nextLocalTime(clock, days, after, timeZone) {
+  const local = localParts(after, timeZone);
+  const offsetMs = Date.UTC(local.year, local.month - 1, local.date) + local.seconds * 1000 - Math.floor(after / 1000) * 1000;
+  for (let i = 0; i <= 7; i++) {
+    const time = Date.UTC(local.year, local.month - 1, local.date + i) + clockSeconds(clock) * 1000 - offsetMs;
+    if (time > after && onDay(days, (local.day + i) % 7)) return time;
+  }
+  return null;
+}
+
+// Upcoming burst and window starts, for status views
+function upcoming(schedule, { now = Date.now(), timeZone } = {}) {
+  if (!schedule) return { nextBurstAt: null, nextWindowAt: null };
+  const zone = schedule.timeZone || timeZone;
+  const earliest = times => {
+    const valid = times.filter(time => time !== null);
+    return valid.length > 0 ? new Date(Math.min(...valid)).toISOString() : null;
+  };
+
+  const burstStarts = schedule.drops.map(drop => {
+    const lead = drop.beforeSeconds * 1000;
+    if (drop.at.includes('T')) {
+      const start = Date.parse(drop.at) - lead;
+      return start > now ? start : null;
+    }
+    const dropAt = nextLocalTime(drop.at, drop.days, now + lead, zone);
+    return dropAt === null ? null : dropAt - lead;
+  });
+  return {
+    nextBurstAt: earliest(burstStarts),
+    nextWindowAt: earliest(schedule.windows.map(window => nextLocalTime(window.start, window.days, now, zone)))
+  };
+}
+
+module.exports = { DEFAULT_BURST, normalizeSchedule, evaluateSchedule, upcoming };
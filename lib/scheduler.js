@@ -0,0 +1,202 @@
+// ============== POLL SCHEDULER ==============
+// Runs one job per key at its own interval with bounded concurrency,
+// random jitter, no overlapping runs for the same key and exponential
+// backoff after consecutive errors. An error carrying `retryAfterMs`
+// (rate limiting) delays the next run by at least that much.
+// Jobs for which isPaused(key) is true stay registered but are not run.
+// getIntervalMs(key) may change over time (watch schedules): when it
+// drops below the interval a job was scheduled with, the job is brought
+// forward instead of waiting out the longer delay.
+// onRun(key, { durationMs, lagMs, error }) reports every run, for metrics;
+// lagMs counts from when the job was due and not paused.
+
+function createScheduler({
+  run,
+  onError = () => {},
+  onSettled = () => {},
+  onRun = () => {},
+  logger = console,
+  isPaused = () => false,
+  getIntervalMs,
+  concurrency = 4,
+  jitterRatio = 0.1,
+  maxBackoffMs = 15 * 60 * 1000,
+  tickMs = 250
+}) {
+  const jobs = new Map();
+  let timer = null;
+  let active = 0;
+
+  function withJitter(ms) {
+    const spread = ms * jitterRatio;
+    return Math.max(0, Math.round(ms + (Math.random() * 2 - 1) * spread));
+  }
+
+  function computeDelay(key, job) {
+    const intervalMs = getIntervalMs(key);
+    job.intervalMs = intervalMs;
+    if (job.consecutiveErrors === 0) {
+      return withJitter(intervalMs);
+    }
+    const backoff = intervalMs * 2 ** job.consecutiveErrors;
+    return Math.max(withJitter(Math.min(backoff, Math.max(maxBackoffMs, intervalMs))), job.retryAfterMs);
+  }
+
+  function add(key, { immediate = true } = {}) {
+    const existing = jobs.get(key);
+    if (existing) {
+      if (immediate) existing.nextRunAt = Date.now();
+      return;
+    }
+    const intervalMs = getIntervalMs(key);
+    jobs.set(key, {
+      nextRunAt: immediate ? Date.now() : Date.now() + withJitter(intervalMs),
+      scheduledAt: Date.now(),
+      intervalMs,
+      running: false,
+      lastRunAt: null,
+      lastDurationMs: null,
+      lastLagMs: null,
+      lastError: null,
+      retryAfterMs: 0,
+      consecutiveErrors: 0
+    });
+  }
+
+  function remove(key) {
+    jobs.delete(key);
+  }
+
+  // Reschedule a job to run as soon as a slot is free
+  function trigger(key) {
+    const job = jobs.get(key);
+    if (job) job.nextRunAt = Date.now();
+  }
+
+  // Reporting callbacks (UI updates, metrics) must not break scheduling
+  function report(name, callback, key, ...args) {
+    try {
+      callback(key, ...args);
+    } catch (error) {
+      logger.error(`Scheduler ${name} callback failed for ${key}: ${error.message}`);
+    }
+  }
+
+  async function execute(key, job) {
+    job.running = true;
+    active++;
+    const startedAt = Date.now();
+    job.lastLagMs = startedAt - job.nextRunAt;
+    let runError = null;
+
+    try {
+      await run(key);
+      job.consecutiveErrors = 0;
+      job.lastError = null;
+    } catch (error) {
+      runError = error;
+      job.consecutiveErrors++;
+      job.lastError = error.message;
+      job.retryAfterMs = error.retryAfterMs || 0;
+      try {
+        await onError(key, error, job.consecutiveErrors);
+      } catch (handlerError) {
+        logger.error(`Scheduler error handler failed for ${key}: ${handlerError.message}`);
+      }
+    } finally {
+      active--;
+      job.running = false;
+      job.lastRunAt = startedAt;
+      job.lastDurationMs = Date.now() - startedAt;
+      report('onRun', onRun, key, { durationMs: job.lastDurationMs, lagMs: job.lastLagMs, error: runError });
+      // Job may have been removed while running
+      if (jobs.get(key) === job) {
+        job.scheduledAt = Date.now();
+        job.nextRunAt = job.scheduledAt + computeDelay(key, job);
+        report('onSettled', onSettled, key);
+      }
+    }
+  }
+
+  // Bring a job forward when its interval got shorter since it was scheduled
+  function applyIntervalChange(key, job) {
+    if (job.running || job.consecutiveErrors > 0) return;
+    const intervalMs = getIntervalMs(key);
+    if (intervalMs < job.intervalMs) {
+      job.nextRunAt = Math.min(job.nextRunAt, job.scheduledAt + intervalMs);
+    }
+    job.intervalMs = intervalMs;
+  }
+
+  function tick() {
+    const now = Date.now();
+    for (const [key, job] of jobs) {
+      applyIntervalChange(key, job);
+      // A paused job that came due runs from when it is resumed: the
+      // pause is not scheduler lag
+      if (!job.running && job.nextRunAt < now && isPaused(key)) {
+        job.nextRunAt = now;
+      }
+    }
+    if (active >= concurrency) return;
+
+    const due = [];
+    for (const [key, job] of jobs) {
+      if (!job.running && job.nextRunAt <= now && !isPaused(key)) {
+        due.push([key, job]);
+      }
+    }
+    due.sort((a, b) => a[1].nextRunAt - b[1].nextRunAt);
+
+    for (const [key, job] of due.slice(0, concurrency - active)) {
+      // Not awaited: a rejection here would otherwise go unhandled and end the process
+      execute(key, job).catch(error => {
+        logger.error(`Scheduler failed to settle ${key}: ${error.message}`);
+      });
+    }
+  }
+
+  function start() {
+    if (timer) return false;
+    timer = setInterval(tick, tickMs);
+    tick();
+    return true;
+  }
+
+  function stop() {
+    if (!timer) return false;
+    clearInterval(timer);
+    timer = null;
+    return true;
+  }
+
+  function getStatus(key) {
+    const job = jobs.get(key);
+    if (!job) return null;
+    return {
+      intervalMs: getIntervalMs(key),
+      nextCheckAt: timer ? new Date(job.nextRunAt).toISOString() : null,
+      lastCheckAt: job.lastRunAt ? new Date(job.lastRunAt).toISOString() : null,
+      lastDurationMs: job.lastDurationMs,
+      lastLagMs: job.lastLagMs,
+      running: job.running,
+      paused: isPaused(key),
+      consecutiveErrors: job.consecutiveErrors,
+      lastError: job.lastError
+    };
+  }
+
+  return {
+    add,
+    remove,
+    trigger,
+    start,
+    stop,
+    getStatus,
+    isRunning: () => !!timer,
+    activeCount: () => active,
+    size: () => jobs.size
+  };
+}
+
+module.exports = { createScheduler };
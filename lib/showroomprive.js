@@ -0,0 +1,218 @@
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+
+// ============== SHOWROOMPRIVÉ API CLIENT ==============
+// JSON client for the mtandao app API: one keep-alive agent, a hard
+// deadline per request, bounded retries for network errors and 5xx on
+// GETs, and a shared cooldown after a 429 so every caller backs off
+// instead of hammering the API. Failures are typed so callers can tell
+// expired credentials from a missing product or an upstream outage.
+// onRequest({ method, path, durationMs, error }) is called once per attempt.
+
+class UpstreamError extends Error {
+  constructor(message, { statusCode = null, code = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+// 401/403: the account's token is expired or invalid
+class AuthError extends UpstreamError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'AuthError';
+  }
+}
+
+// 429, or a request made while the client is cooling down
+class RateLimitError extends UpstreamError {
+  constructor(message, { retryAfterMs, ...options } = {}) {
+    super(message, { statusCode: 429, ...options });
+    this.name = 'RateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+class NotFoundError extends UpstreamError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function decompress(buffer, encoding) {
+  try {
+    if (encoding === 'gzip') return zlib.gunzipSync(buffer);
+    if (encoding === 'br') return zlib.brotliDecompressSync(buffer);
+    if (encoding === 'deflate') return zlib.inflateSync(buffer);
+    return buffer;
+  } catch (error) {
+    throw new UpstreamError(`Failed to decompress ${encoding} response: ${error.message}`, { code: 'EDECOMPRESS' });
+  }
+}
+
+function errorForResponse(statusCode, headers, body, defaultRetryAfterMs) {
+  const excerpt = body.substring(0, 200);
+  if (statusCode === 401 || statusCode === 403) {
+    return new AuthError(`Unauthorized (${statusCode}) - Token expired or invalid`, { statusCode });
+  }
+  if (statusCode === 429) {
+    const retryAfterMs = parseRetryAfter(headers['retry-after']) ?? defaultRetryAfterMs;
+    return new RateLimitError(`Rate limited by Showroomprivé, retry in ${Math.ceil(retryAfterMs / 1000)}s`, { retryAfterMs });
+  }
+  if (statusCode === 404) {
+    return new NotFoundError(`Not found (404): ${excerpt}`, { statusCode });
+  }
+  return new UpstreamError(`HTTP Error ${statusCode}: ${excerpt}`, { statusCode, retryable: statusCode >= 500 });
+}
+
+// Expiry of a JWT credential (token header or "Bearer <jwt>"), or null when
+// the value is opaque or carries no exp claim. The signature is not checked.
+function jwtExpiry(value) {
+  const parts = String(value || '').replace(/^Bearer\s+/i, '').split('.');
+  if (parts.length !== 3) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return Number.isFinite(payload.exp) ? new Date(payload.exp * 1000) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function createClient({
+  baseUrl,
+  getHeaders,
+  timeoutMs = 15 * 1000,
+  maxRetries = 2,
+  retryDelayMs = 500,
+  maxSockets = 8,
+  defaultRetryAfterMs = 30 * 1000,
+  onRequest = () => {}
+}) {
+  const target = new URL(baseUrl);
+  const transport = target.protocol === 'http:' ? http : https;
+  const agent = new transport.Agent({ keepAlive: true, maxSockets });
+  const basePath = target.pathname.replace(/\/$/, '');
+  let rateLimitedUntil = 0;
+
+  function send(method, path, body, account) {
+    return new Promise((resolve, reject) => {
+      const headers = getHeaders(account);
+      const postData = body ? JSON.stringify(body) : null;
+      if (postData) {
+        headers['Content-Type'] = 'application/json';
+        headers['Content-Length'] = Buffer.byteLength(postData);
+      }
+
+      const req = transport.request({
+        hostname: target.hostname,
+        port: target.port || (target.protocol === 'http:' ? 80 : 443),
+        path: basePath + path,
+        method,
+        headers,
+        agent
+      }, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('error', (error) => req.destroy(error));
+        res.on('end', () => {
+          clearTimeout(deadline);
+          try {
+            const data = decompress(Buffer.concat(chunks), res.headers['content-encoding']).toString('utf8');
+            if (res.statusCode >= 400) {
+              throw errorForResponse(res.statusCode, res.headers, data, defaultRetryAfterMs);
+            }
+            try {
+              resolve(JSON.parse(data));
+            } catch (error) {
+              throw new UpstreamError(`Parse error: ${error.message} - Raw: ${data.substring(0, 200)}`, { statusCode: res.statusCode, code: 'EPARSE' });
+            }
+          } catch (error) {
+            reject(error);
+          }
+        });
+      });
+
+      // Covers connecting, waiting and reading the body, not just socket idle time
+      const deadline = setTimeout(() => {
+        req.destroy(new UpstreamError(`Request timed out after ${timeoutMs / 1000}s`, { code: 'ETIMEDOUT', retryable: true }));
+      }, timeoutMs);
+
+      req.on('error', (error) => {
+        clearTimeout(deadline);
+        if (error instanceof UpstreamError) {
+          reject(error);
+          return;
+        }
+        const wrapped = new UpstreamError(`Network error: ${error.message}`, { code: error.code || null, retryable: true });
+        // The server closed an idle keep-alive socket before reading the request,
+        // so even a POST can safely be sent again
+        wrapped.staleSocket = req.reusedSocket && error.code === 'ECONNRESET';
+        reject(wrapped);
+      });
+
+      if (postData) {
+        req.write(postData);
+      }
+      req.end();
+    });
+  }
+
+  // Resolves with the parsed JSON body. Only GETs are retried after
+  // 5xx/timeouts: replaying a cart update could add the item twice.
+  async function request(method, path, body = null, account = undefined) {
+    for (let attempt = 0; ; attempt++) {
+      const waitMs = rateLimitedUntil - Date.now();
+      if (waitMs > 0) {
+        throw new RateLimitError(`Rate limited by Showroomprivé, retry in ${Math.ceil(waitMs / 1000)}s`, { retryAfterMs: waitMs });
+      }
+
+      const startedAt = Date.now();
+      try {
+        const data = await send(method, path, body, account);
+        onRequest({ method, path, durationMs: Date.now() - startedAt, error: null });
+        return data;
+      } catch (error) {
+        onRequest({ method, path, durationMs: Date.now() - startedAt, error });
+        if (error instanceof RateLimitError) {
+          rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + error.retryAfterMs);
+          throw error;
+        }
+        const canRetry = error.staleSocket || (method === 'GET' && error.retryable);
+        if (!canRetry || attempt >= maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, retryDelayMs * 2 ** attempt * (0.5 + Math.random())));
+      }
+    }
+  }
+
+  function getStatus() {
+    return {
+      baseUrl: target.origin + basePath,
+      rateLimitedUntil: rateLimitedUntil > Date.now() ? new Date(rateLimitedUntil).toISOString() : null
+    };
+  }
+
+  return { request, getStatus };
+}
+
+module.exports = {
+  UpstreamError,
+  AuthError,
+  RateLimitError,
+  NotFoundError,
+  jwtExpiry,
+  createClient
+};
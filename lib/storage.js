@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============== STORAGE DRIVERS ==============
+// A driver exposes load() -> state | null and save(state).
+// State is a plain JSON-serializable object built by server.js.
+
+function createFileStorage(dataDir) {
+  const filePath = path.join(dataDir, 'state.json');
+
+  // A state.json that does not parse is moved aside (state.json.corrupt-<ts>)
+  // before throwing, so the next save cannot overwrite the only copy
+  function load() {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    const raw = fs.readFileSync(filePath, 'utf8');
+    if (!raw.trim()) {
+      return null;
+    }
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(filePath, corruptPath);
+      throw new Error(`${filePath} is not valid JSON (${error.message}), moved to ${corruptPath}`);
+    }
+  }
+
+  // Write to a temp file then rename so a crash mid-write never leaves a truncated state.json.
+  // Not indented: timelines and logs hold thousands of small arrays.
+  function save(state) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(state));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return { name: 'file', location: filePath, load, save };
+}
+
+function createMemoryStorage() {
+  let snapshot = null;
+
+  return {
+    name: 'memory',
+    location: null,
+    load: () => (snapshot ? JSON.parse(snapshot) : null),
+    save: (state) => { snapshot = JSON.stringify(state); }
+  };
+}
+
+function createStorage({ driver = 'file', dataDir = './data' } = {}) {
+  if (driver === 'memory') {
+    return createMemoryStorage();
+  }
+  if (driver === 'file') {
+    return createFileStorage(path.resolve(dataDir));
+  }
+  throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,74 @@
+// ============== STOCK / PRICE TIMELINE ==============
+// Per-offer change-only time series. Each offer keeps a list of
+// compact points [timestampMs, available, price]; a point is only
+// appended when available or price differs from the previous one.
+
+const MAX_POINTS_PER_OFFER = 2000;
+
+function recordSample(timeline, offerId, available, price, at = Date.now()) {
+  if (!timeline[offerId]) {
+    timeline[offerId] = [];
+  }
+  const points = timeline[offerId];
+  const last = points[points.length - 1];
+
+  if (last && last[1] === available && last[2] === price) {
+    return false;
+  }
+
+  points.push([at, available, price]);
+  if (points.length > MAX_POINTS_PER_OFFER) {
+    points.splice(0, points.length - MAX_POINTS_PER_OFFER);
+  }
+  return true;
+}
+
+// Accepts epoch ms, ISO strings or relative durations like "30m", "6h", "7d"
+function parseTimeParam(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const relative = String(value).match(/^(\d+)([smhd])$/);
+  if (relative) {
+    const units = { s: 1000, m: 60 * 1000, h: 3600 * 1000, d: 86400 * 1000 };
+    return now - Number(relative[1]) * units[relative[2]];
+  }
+  if (/^\d+$/.test(String(value))) {
+    return Number(value);
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? NaN : parsed;
+}
+
+// Returns points within [from, to]. The last point before `from` is kept
+// (clamped to `from`) so the series starts with the state at that time.
+function sliceSeries(points, from, to) {
+  const result = [];
+  let before = null;
+
+  for (const point of points) {
+    if (from !== null && point[0] < from) {
+      before = point;
+      continue;
+    }
+    if (to !== null && point[0] > to) {
+      break;
+    }
+    result.push(point);
+  }
+
+  if (before && (result.length === 0 || result[0][0] > from)) {
+    result.unshift([from, before[1], before[2]]);
+  }
+  return result;
+}
+
+function toPointObjects(points) {
+  return points.map(([at, available, price]) => ({
+    at: new Date(at).toISOString(),
+    available,
+    price
+  }));
+}
+
+module.exports = { recordSample, parseTimeParam, sliceSeries, toPointObjects };
@@ -0,0 +1,184 @@
+// ============== WATCHLIST IMPORT / EXPORT ==============
+// Portable watch entries use the same fields as POST /api/products/add,
+// except that sizes (watchedSizes, priceRules keys, sizePriority) may be
+// size labels instead of offer ids; the server resolves them against the
+// product's current offers. CSV rows carry one entry each, with sizes as
+// labels and list cells separated by "|"; watch schedules and notification
+// policies are JSON only.
+
+const CSV_COLUMNS = [
+  'productId', 'url', 'title', 'sizes', 'maxPrice', 'notifyOnPriceDrop',
+  'sizePriority', 'quantity', 'maxSpend', 'intervalSeconds', 'cartMode', 'accountIds', 'waitForLaunch'
+];
+
+const TRUE_VALUES = ['true', '1', 'yes', 'oui', 'x'];
+
+function splitList(value) {
+  return String(value ?? '').split('|').map(item => item.trim()).filter(Boolean);
+}
+
+// ---- CSV ----
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 rows as { line, cells }, `line` being where the row starts in the
+// text (quoted cells may span lines, blank rows are dropped); the delimiter
+// (comma, semicolon or tab) is taken from the header line
+function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const headerLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t', ','].find(candidate => headerLine.includes(candidate)) || ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n' || (ch === '\r' && source[i + 1] !== '\n')) line++;
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push({ line: rowLine, cells: row });
+  }
+  return rows.filter(({ cells }) => cells.some(value => value.trim() !== ''));
+}
+
+// Per-size values are written once when every size shares them,
+// otherwise as "label=value" pairs
+function entryToCsvRow(entry) {
+  const label = offerId => entry.sizeLabels?.[offerId] || offerId;
+  const sizes = entry.watchedSizes || [];
+  const rules = sizes.map(offerId => ({ size: label(offerId), ...(entry.priceRules?.[offerId] || {}) }));
+
+  const maxPrices = rules.map(rule => rule.maxPrice ?? null);
+  const maxPrice = maxPrices.every(value => value === maxPrices[0])
+    ? maxPrices[0]
+    : rules.filter(rule => rule.maxPrice !== null && rule.maxPrice !== undefined).map(rule => `${rule.size}=${rule.maxPrice}`).join('|');
+  const dropSizes = rules.filter(rule => rule.notifyOnPriceDrop).map(rule => rule.size);
+  const notifyOnPriceDrop = dropSizes.length > 0 && dropSizes.length === rules.length ? 'true' : dropSizes.join('|');
+
+  const values = {
+    productId: entry.productId,
+    url: entry.url,
+    title: entry.title,
+    sizes: sizes.map(label).join('|'),
+    maxPrice,
+    notifyOnPriceDrop,
+    sizePriority: Array.isArray(entry.sizePriority) ? entry.sizePriority.map(label).join('|') : '',
+    quantity: entry.quantity,
+    maxSpend: entry.maxSpend,
+    intervalSeconds: entry.intervalSeconds,
+    cartMode: entry.cartMode,
+    accountIds: (entry.accountIds || []).join('|'),
+    waitForLaunch: entry.waitForLaunch ? 'true' : ''
+  };
+  return CSV_COLUMNS.map(column => csvCell(values[column]));
+}
+
+function entriesToCsv(entries) {
+  return [CSV_COLUMNS.join(','), ...entries.map(entry => entryToCsvRow(entry).join(','))].join('\n') + '\n';
+}
+
+// Returns [{ line, entry }]; columns are matched by header name, case-insensitively
+function csvToEntries(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const columns = header.cells.map(name => CSV_COLUMNS.find(column => column.toLowerCase() === name.trim().toLowerCase()) || null);
+  if (!columns.includes('productId') && !columns.includes('url')) {
+    throw new Error('CSV needs a productId or url column');
+  }
+
+  return rows.map(({ line, cells }) => {
+    const row = {};
+    columns.forEach((column, i) => {
+      if (column) row[column] = (cells[i] ?? '').trim();
+    });
+
+    const entry = {
+      productId: row.productId || undefined,
+      url: row.url || undefined,
+      watchedSizes: splitList(row.sizes),
+      priceRules: {},
+      quantity: row.quantity,
+      maxSpend: row.maxSpend,
+      intervalSeconds: row.intervalSeconds,
+      cartMode: row.cartMode || undefined,
+      accountIds: row.accountIds ? splitList(row.accountIds) : undefined,
+      waitForLaunch: TRUE_VALUES.includes(String(row.waitForLaunch || '').trim().toLowerCase())
+    };
+
+    if (String(row.maxPrice || '').includes('=')) {
+      for (const pair of splitList(row.maxPrice)) {
+        const [size, price] = pair.split('=').map(part => part.trim());
+        entry.priceRules[size] = { ...entry.priceRules[size], maxPrice: price };
+      }
+    } else {
+      entry.maxPrice = row.maxPrice;
+    }
+
+    const drop = String(row.notifyOnPriceDrop || '').trim();
+    if (TRUE_VALUES.includes(drop.toLowerCase())) {
+      entry.notifyOnPriceDrop = true;
+    } else {
+      for (const size of splitList(drop)) {
+        entry.priceRules[size] = { ...entry.priceRules[size], notifyOnPriceDrop: true };
+      }
+    }
+
+    const priority = String(row.sizePriority || '').trim();
+    if (TRUE_VALUES.includes(priority.toLowerCase())) {
+      entry.sizePriority = true;
+    } else if (priority) {
+      entry.sizePriority = splitList(priority);
+    }
+
+    return { line, entry };
+  });
+}
+
+// ---- Bulk add ----
+
+// One product per line: "<url or id> <size> [<size>...]", sizes separated
+// by spaces, commas, semicolons or "|". Blank lines and # comments are skipped.
+function parseBulkLines(text) {
+  return String(text || '').split(/\r?\n/)
+    .map((input, index) => ({ line: index + 1, input: input.trim() }))
+    .filter(({ input }) => input && !input.startsWith('#'))
+    .map(({ line, input }) => {
+      const [product, ...sizes] = input.split(/[\s,;|]+/).filter(Boolean);
+      return { line, input, product, sizes };
+    });
+}
+
+module.exports = { CSV_COLUMNS, parseCsv, entriesToCsv, csvToEntries, parseBulkLines };
@@ -0,0 +1,210 @@
+// ============== DISCORD INTERACTIONS TOOL ==============
+// Registers the slash commands with Discord, and plays Discord's part
+// locally: signed interactions are sent to the bot with a generated key
+// pair, and follow-ups of deferred answers are received on FOLLOWUP_PORT.
+//
+//   node scripts/discord-interactions.js keygen
+//   DISCORD_PUBLIC_KEY=... DISCORD_API_URL=http://127.0.0.1:4100 npm start
+//   DISCORD_TEST_PRIVATE_KEY=... node scripts/discord-interactions.js command list
+//   ... command watch url=38450594 sizes="M L"
+//   ... button cart:38450594:5014051
+//   ... modal headers:default headers=@captured-headers.txt
+//
+// register needs DISCORD_APP_ID and DISCORD_BOT_TOKEN (DISCORD_GUILD_ID
+// registers them on one server, where they show up immediately).
+
+const fs = require('fs');
+const http = require('http');
+const discord = require('../lib/discord');
+
+const INTERACTIONS_URL = process.env.INTERACTIONS_URL || 'http://localhost:3000/discord/interactions';
+const FOLLOWUP_PORT = Number(process.env.FOLLOWUP_PORT || 4100);
+const FOLLOWUP_TIMEOUT_MS = Number(process.env.FOLLOWUP_TIMEOUT_MS || 30000);
+const TEST_USER_ID = process.env.DISCORD_TEST_USER_ID || '100000000000000001';
+const TEST_ROLE_IDS = (process.env.DISCORD_TEST_ROLE_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+function usage() {
+  console.error([
+    'Usage: node scripts/discord-interactions.js <keygen | register | command <name> [option=value...] | button <custom_id> | modal <custom_id> [input=value...]>',
+    'A value starting with @ is read from that file.'
+  ].join('\n'));
+  process.exit(1);
+}
+
+// ["url=123", "sizes=M L"] -> { url: '123', sizes: 'M L' }
+function parseAssignments(args) {
+  const values = {};
+  for (const arg of args) {
+    const index = arg.indexOf('=');
+    if (index === -1) usage();
+    const value = arg.slice(index + 1);
+    values[arg.slice(0, index)] = value.startsWith('@') ? fs.readFileSync(value.slice(1), 'utf8') : value;
+  }
+  return values;
+}
+
+function baseInteraction(type, data) {
+  return {
+    id: String(Date.now()),
+    application_id: process.env.DISCORD_APP_ID || '200000000000000002',
+    type,
+    token: `local-${Date.now()}`,
+    version: 1,
+    guild_id: process.env.DISCORD_GUILD_ID || '300000000000000003',
+    member: { user: { id: TEST_USER_ID, username: 'local-test' }, roles: TEST_ROLE_IDS },
+    data
+  };
+}
+
+function commandInteraction(name, args) {
+  const definition = discord.COMMANDS.find(command => command.name === name);
+  if (!definition) {
+    throw new Error(`Unknown command: ${name} (${discord.COMMANDS.map(command => command.name).join(', ')})`);
+  }
+  const options = Object.entries(parseAssignments(args)).map(([optionName, value]) => {
+    const option = (definition.options || []).find(candidate => candidate.name === optionName);
+    if (!option) throw new Error(`Unknown option for /${name}: ${optionName}`);
+    return { name: optionName, type: option.type, value: option.type === 10 ? Number(value) : value };
+  });
+  return baseInteraction(discord.INTERACTION_TYPES.APPLICATION_COMMAND, { id: name, name, type: 1, options });
+}
+
+function buttonInteraction(customId) {
+  return baseInteraction(discord.INTERACTION_TYPES.MESSAGE_COMPONENT, { custom_id: customId, component_type: 2 });
+}
+
+function modalInteraction(customId, args) {
+  const components = Object.entries(parseAssignments(args)).map(([inputId, value]) => ({
+    type: 1,
+    components: [{ type: 4, custom_id: inputId, value }]
+  }));
+  return baseInteraction(discord.INTERACTION_TYPES.MODAL_SUBMIT, { custom_id: customId, components });
+}
+
+// Receives the follow-up posted for the interaction: { received, close }
+// where received resolves with the message, or null on timeout
+function listenForFollowup(interaction) {
+  const expected = `/webhooks/${interaction.application_id}/${interaction.token}`;
+  let timer;
+  let finish;
+  const received = new Promise(resolve => {
+    finish = resolve;
+  });
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const matches = req.url.startsWith(expected);
+      res.writeHead(matches ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end('{}');
+      if (matches) close(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+    });
+  });
+  function close(message = null) {
+    clearTimeout(timer);
+    server.close();
+    finish(message);
+  }
+
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.listen(FOLLOWUP_PORT, () => {
+      timer = setTimeout(() => close(), FOLLOWUP_TIMEOUT_MS);
+      resolve({ received, close });
+    });
+  });
+}
+
+async function send(interaction) {
+  const privateKey = process.env.DISCORD_TEST_PRIVATE_KEY;
+  if (!privateKey) {
+    throw new Error('DISCORD_TEST_PRIVATE_KEY is required (see keygen)');
+  }
+  const body = JSON.stringify(interaction);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  // Listening before sending: the follow-up may come right after the answer
+  const followup = await listenForFollowup(interaction);
+  let response;
+  try {
+    response = await fetch(INTERACTIONS_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Signature-Ed25519': discord.signInteraction(privateKey, timestamp, body),
+        'X-Signature-Timestamp': timestamp
+      },
+      body
+    });
+  } catch (error) {
+    followup.close();
+    throw error;
+  }
+  const text = await response.text();
+  console.log(`← ${response.status}`);
+  console.log(text);
+
+  let answer = null;
+  try {
+    answer = JSON.parse(text);
+  } catch {
+    // Error pages are printed as they are
+  }
+  if (answer?.type !== discord.RESPONSE_TYPES.DEFERRED_CHANNEL_MESSAGE) {
+    followup.close();
+    return;
+  }
+  console.log(`… waiting for the follow-up on port ${FOLLOWUP_PORT}`);
+  const message = await followup.received;
+  console.log(message ? JSON.stringify(message, null, 2) : `No follow-up within ${FOLLOWUP_TIMEOUT_MS / 1000}s`);
+}
+
+async function register() {
+  const { DISCORD_APP_ID: appId, DISCORD_BOT_TOKEN: botToken, DISCORD_GUILD_ID: guildId } = process.env;
+  if (!appId || !botToken) {
+    throw new Error('DISCORD_APP_ID and DISCORD_BOT_TOKEN are required');
+  }
+  const apiUrl = (process.env.DISCORD_API_URL || 'https://discord.com/api/v10').replace(/\/$/, '');
+  const url = guildId
+    ? `${apiUrl}/applications/${appId}/guilds/${guildId}/commands`
+    : `${apiUrl}/applications/${appId}/commands`;
+  const response = await fetch(url, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bot ${botToken}` },
+    body: JSON.stringify(discord.COMMANDS)
+  });
+  if (!response.ok) {
+    throw new Error(`Discord API error ${response.status}: ${await response.text()}`);
+  }
+  console.log(`${discord.COMMANDS.length} commands registered${guildId ? ` on server ${guildId}` : ''}: ${discord.COMMANDS.map(command => `/${command.name}`).join(', ')}`);
+}
+
+async function main() {
+  const [action, target, ...args] = process.argv.slice(2);
+  switch (action) {
+    case 'keygen': {
+      const { publicKey, privateKey } = discord.generateKeyPair();
+      console.log(`DISCORD_PUBLIC_KEY=${publicKey}`);
+      console.log(`DISCORD_TEST_PRIVATE_KEY=${privateKey}`);
+      return;
+    }
+    case 'register':
+      return register();
+    case 'command':
+      if (!target) usage();
+      return send(commandInteraction(target, args));
+    case 'button':
+      if (!target) usage();
+      return send(buttonInteraction(target));
+    case 'modal':
+      if (!target) usage();
+      return send(modalInteraction(target, args));
+    default:
+      usage();
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,311 @@
+// ============== MOCK SHOWROOMPRIVÉ API ==============
+// Stand-in for the mtandao app API, to exercise restock, cart and token
+// expiry flows without waiting for a real restock:
+//
+//   node scripts/mock-showroomprive.js [fixture.json]
+//   SRP_API_URL=http://localhost:4000 SRP_TOKEN=mock-token npm start
+//
+// App endpoints: GET market.svc/quantity/:id, GET market.svc/product/:id,
+// GET market.svc/(sale|category)/:id/products, GET/POST cart.svc/cart.
+// Everything is scriptable through /__mock (see README):
+// stock per offer, forced 401/429/500 responses, slow responses.
+
+const express = require('express');
+const fs = require('fs');
+
+const PORT = process.env.MOCK_PORT || 4000;
+// When set, requests must send this `token` header (401 otherwise)
+const MOCK_TOKEN = process.env.MOCK_TOKEN || '';
+const FIXTURE = process.argv[2] || process.env.MOCK_FIXTURE || '';
+const PAGE_SIZE = 50;
+const RESERVATION_MINUTES = 15;
+
+const DEMO_STATE = {
+  products: {
+    '38450594': {
+      name: 'Sweat à capuche',
+      brand: 'Demo Brand',
+      images: ['https://placehold.co/400x400?text=38450594'],
+      price: 39.9,
+      originalPrice: 89.9,
+      offers: {
+        '5014050': { label: 'S', available: 0, price: 39.9 },
+        '5014051': { label: 'M', available: 0, price: 39.9 },
+        '5014052': { label: 'L', available: 3, price: 39.9 }
+      }
+    }
+  },
+  sales: {
+    '1000': { name: 'Vente Demo', endDate: null, productIds: ['38450594'] }
+  },
+  categories: {}
+};
+
+let state;
+
+function resetState() {
+  const seed = FIXTURE ? JSON.parse(fs.readFileSync(FIXTURE, 'utf8')) : DEMO_STATE;
+  state = {
+    products: structuredClone(seed.products || {}),
+    sales: structuredClone(seed.sales || {}),
+    categories: structuredClone(seed.categories || {}),
+    carts: {},         // token -> [{ productId, offerId, quantity, addedAt }]
+    faults: [],        // [{ status, path, remaining, retryAfter }]
+    delays: [],        // [{ ms, path }]
+    tokenValid: true,
+    cartUpdates: 'set', // how a cart POST without add_cart_origin reads `quantity`
+    requests: []       // last requests, newest last
+  };
+}
+
+resetState();
+
+const app = express();
+app.use(express.json());
+
+function ok(data) {
+  return { status: { code: 1, message: 'OK' }, data };
+}
+
+function fail(message) {
+  return { status: { code: 0, message }, data: null };
+}
+
+function saleOf(productId) {
+  const entry = Object.entries(state.sales).find(([, sale]) => (sale.productIds || []).includes(productId));
+  return entry ? { id: entry[0], ...entry[1] } : null;
+}
+
+function cartFor(req) {
+  const token = req.get('token') || 'anonymous';
+  if (!state.carts[token]) state.carts[token] = [];
+  return state.carts[token];
+}
+
+// ============== CONTROL API ==============
+
+const control = express.Router();
+
+control.get('/state', (req, res) => res.json(state));
+
+control.post('/reset', (req, res) => {
+  resetState();
+  res.json({ success: true });
+});
+
+// Create or replace a product: { name, brand, images, price, originalPrice, offers: { offerId: { label, available, price } } }
+control.put('/products/:id', (req, res) => {
+  state.products[req.params.id] = { offers: {}, ...req.body };
+  res.json(state.products[req.params.id]);
+});
+
+control.delete('/products/:id', (req, res) => {
+  delete state.products[req.params.id];
+  res.json({ success: true });
+});
+
+// Set stock or price of one offer: { available, price, label }
+control.patch('/products/:id/offers/:offerId', (req, res) => {
+  const product = state.products[req.params.id];
+  if (!product) return res.status(404).json({ error: 'Unknown product' });
+  const offer = product.offers[req.params.offerId] || { label: req.params.offerId, available: 0, price: product.price };
+  product.offers[req.params.offerId] = { ...offer, ...req.body };
+  res.json(product.offers[req.params.offerId]);
+});
+
+// { name, endDate, productIds }
+control.put('/sales/:id', (req, res) => {
+  state.sales[req.params.id] = { productIds: [], ...req.body };
+  res.json(state.sales[req.params.id]);
+});
+
+control.put('/categories/:id', (req, res) => {
+  state.categories[req.params.id] = { productIds: [], ...req.body };
+  res.json(state.categories[req.params.id]);
+});
+
+// Force errors: { status: 401|429|500, path: 'quantity' (substring, optional), count: 1 (-1 = until cleared), retryAfter: 5 }
+control.post('/faults', (req, res) => {
+  const { status = 500, path = '', count = 1, retryAfter = null } = req.body;
+  state.faults.push({ status: Number(status), path, remaining: Number(count), retryAfter });
+  res.json(state.faults);
+});
+
+control.delete('/faults', (req, res) => {
+  state.faults = [];
+  state.delays = [];
+  res.json({ success: true });
+});
+
+// Slow responses: { ms, path (substring, optional) }; ms: 0 removes delays
+control.post('/delay', (req, res) => {
+  const { ms = 0, path = '' } = req.body;
+  state.delays = state.delays.filter(delay => delay.path !== path);
+  if (Number(ms) > 0) state.delays.push({ ms: Number(ms), path });
+  res.json(state.delays);
+});
+
+// Simulate an expired token: { valid: false }
+control.post('/token', (req, res) => {
+  state.tokenValid = req.body.valid !== false;
+  res.json({ tokenValid: state.tokenValid });
+});
+
+// Make a cart POST without add_cart_origin add `quantity` too: { mode: 'add' | 'set' }
+control.post('/cart-updates', (req, res) => {
+  state.cartUpdates = req.body.mode === 'add' ? 'add' : 'set';
+  res.json({ cartUpdates: state.cartUpdates });
+});
+
+control.get('/requests', (req, res) => res.json(state.requests));
+
+app.use('/__mock', control);
+
+// ============== FAULTS, DELAYS AND AUTH ==============
+
+app.use(async (req, res, next) => {
+  state.requests.push({ at: new Date().toISOString(), method: req.method, path: req.originalUrl, token: req.get('token') || null });
+  if (state.requests.length > 200) state.requests.shift();
+
+  const delay = state.delays.find(d => req.originalUrl.includes(d.path));
+  if (delay) {
+    await new Promise(resolve => setTimeout(resolve, delay.ms));
+  }
+
+  const fault = state.faults.find(f => f.remaining !== 0 && req.originalUrl.includes(f.path));
+  if (fault) {
+    if (fault.remaining > 0) fault.remaining--;
+    state.faults = state.faults.filter(f => f.remaining !== 0);
+    if (fault.retryAfter !== null) res.set('Retry-After', String(fault.retryAfter));
+    return res.status(fault.status).json(fail(`Mock fault ${fault.status}`));
+  }
+
+  if (!state.tokenValid || (MOCK_TOKEN && req.get('token') !== MOCK_TOKEN)) {
+    return res.status(401).json(fail('Unauthorized'));
+  }
+  next();
+});
+
+// ============== APP API ==============
+
+app.get('/market.svc/quantity/:id', (req, res) => {
+  const product = state.products[req.params.id];
+  if (!product) return res.json(fail('Product not found'));
+  res.json(ok({
+    label: product.name,
+    sizeUnique: Object.keys(product.offers).length === 1,
+    offers: Object.entries(product.offers).map(([offerId, offer]) => ({
+      available: offer.available,
+      label: offer.label,
+      offerId,
+      price: offer.price ?? product.price,
+      productSku: req.params.id
+    }))
+  }));
+});
+
+app.get('/market.svc/product/:id', (req, res) => {
+  const product = state.products[req.params.id];
+  if (!product) return res.json(fail('Product not found'));
+  const sale = saleOf(req.params.id);
+  res.json(ok({
+    product: {
+      id: req.params.id,
+      name: product.name,
+      brand: { name: product.brand },
+      images: (product.images || []).map(url => ({ url })),
+      price: product.price,
+      originalPrice: product.originalPrice,
+      sale: sale ? { name: sale.name, endDate: sale.endDate } : null
+    }
+  }));
+});
+
+app.get('/market.svc/:type(sale|category)/:id/products', (req, res) => {
+  const collection = (req.params.type === 'sale' ? state.sales : state.categories)[req.params.id];
+  if (!collection) return res.json(fail(`${req.params.type} not found`));
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const ids = (collection.productIds || []).filter(id => state.products[id]);
+  res.json(ok({
+    name: collection.name,
+    totalPages: Math.max(1, Math.ceil(ids.length / PAGE_SIZE)),
+    products: ids.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE).map(id => ({
+      productId: id,
+      name: state.products[id].name,
+      brand: state.products[id].brand,
+      price: state.products[id].price,
+      originalPrice: state.products[id].originalPrice,
+      images: state.products[id].images || [],
+      offers: Object.entries(state.products[id].offers).map(([offerId, offer]) => ({
+        offerId,
+        label: offer.label,
+        available: offer.available,
+        price: offer.price ?? state.products[id].price
+      }))
+    }))
+  }));
+});
+
+app.get('/cart.svc/cart', (req, res) => {
+  const items = cartFor(req).map(line => {
+    const product = state.products[line.productId] || { offers: {} };
+    const offer = product.offers[line.offerId] || {};
+    return {
+      prod_id: line.productId,
+      sized_id: line.offerId,
+      label: product.name,
+      size: offer.label,
+      quantity: line.quantity,
+      price: offer.price ?? product.price,
+      expiration_date: new Date(line.addedAt + RESERVATION_MINUTES * 60 * 1000).toISOString()
+    };
+  });
+  res.json(ok({ items }));
+});
+
+// add_cart_origin present: add `quantity` units; otherwise `quantity` is the new line quantity (0 removes),
+// unless /__mock/cart-updates switched to 'add'.
+// Reserved units are taken from (and given back to) the offer's stock.
+app.post('/cart.svc/cart', (req, res) => {
+  const cart = cartFor(req);
+  const isAdd = req.body.add_cart_origin !== undefined || state.cartUpdates === 'add';
+  const updates = [];
+
+  for (const update of req.body.updates || []) {
+    const productId = String(update.prod_id);
+    const offerId = String(update.sized_id);
+    const offer = state.products[productId]?.offers[offerId];
+    if (!offer) {
+      return res.json(fail('Article introuvable'));
+    }
+
+    let line = cart.find(l => l.productId === productId && l.offerId === offerId);
+    const current = line ? line.quantity : 0;
+    const wanted = isAdd ? current + Number(update.quantity || 1) : Number(update.quantity);
+    const delta = wanted - current;
+    if (delta > offer.available) {
+      return res.json(fail('Stock insuffisant'));
+    }
+
+    offer.available -= delta;
+    if (wanted <= 0) {
+      if (line) cart.splice(cart.indexOf(line), 1);
+    } else if (line) {
+      line.quantity = wanted;
+      if (isAdd) line.addedAt = Date.now();
+    } else {
+      line = { productId, offerId, quantity: wanted, addedAt: Date.now() };
+      cart.push(line);
+    }
+    updates.push({ prod_id: productId, sized_id: offerId, quantity: Math.max(0, wanted) });
+  }
+
+  res.json(ok({ updates }));
+});
+
+app.use((req, res) => res.status(404).json(fail(`No mock for ${req.method} ${req.path}`)));
+
+app.listen(PORT, () => {
+  console.log(`Mock Showroomprivé API on http://localhost:${PORT} (${Object.keys(state.products).length} product(s)${FIXTURE ? `, fixture ${FIXTURE}` : ''})`);
+});
@@ -1,55 +1,225 @@
 const express = require('express');
-const https = require('https');
-const zlib = require('zlib');
+const { createStorage } = require('./lib/storage');
+const { SESSION_COOKIE, hasRole, parseApiKeys, createAuth } = require('./lib/auth');
+const { EVENT_TYPES, createChannel, redactChannel } = require('./lib/notifiers');
+const { createDeliveryQueue } = require('./lib/delivery');
+const { createScheduler } = require('./lib/scheduler');
+const { createEventBus } = require('./lib/events');
+const { createMetadataCache } = require('./lib/metadata');
+const { createClient, jwtExpiry, AuthError, RateLimitError, NotFoundError, UpstreamError } = require('./lib/showroomprive');
+const { recordSample, parseTimeParam, sliceSeries, toPointObjects } = require('./lib/timeline');
+const { parseHeaderBlock, parseCapture, diffHeaders } = require('./lib/headers');
+const { entriesToCsv, csvToEntries, parseBulkLines } = require('./lib/watchlist');
+const { createRegistry } = require('./lib/metrics');
+const { createLogger } = require('./lib/logger');
+const { createAttemptLog } = require('./lib/attempts');
+const { normalizeSchedule, evaluateSchedule, upcoming } = require('./lib/schedule');
+const { parseMentions, normalizePolicySet, resolvePolicy, isQuietTime, formatMention, createDigest } = require('./lib/policies');
+const discord = require('./lib/discord');
 
 const app = express();
+// Watchlist exports carry the whole history and can outgrow the default limit
+app.use('/api/import', express.json({ limit: '5mb' }));
+// Capture uploads (HAR, flow dumps) are parsed from the raw bytes by their
+// route whatever the content type, and can be far larger than a JSON body
+app.use('/api/config/headers/import', express.raw({ type: () => true, limit: '25mb' }));
+// Discord signs the exact bytes it sends, so they are kept raw
+app.use('/discord/interactions', express.raw({ type: () => true }));
 app.use(express.json());
 app.use(express.static('public'));
 
 const PORT = process.env.PORT || 3000;
 
-// Parse headers from full header block or individual values
-function parseHeadersFromEnv(input) {
-  if (!input) return {};
-  
-  const headers = {};
-  const lines = input.split('\n');
-  
-  for (const line of lines) {
-    const colonIndex = line.indexOf(':');
-    if (colonIndex > 0) {
-      const key = line.substring(0, colonIndex).trim().toLowerCase();
-      const value = line.substring(colonIndex + 1).trim();
-      if (key && value && !key.startsWith('http') && key !== 'host' && key !== 'content-length') {
-        headers[key] = value;
-      }
-    }
-  }
-  
-  return headers;
-}
-
 // Configuration
 const CONFIG = {
+  // Showroomprivé app API; point it at scripts/mock-showroomprive.js to test locally
+  apiBaseUrl: process.env.SRP_API_URL || "https://mtandao.showroomprive.com",
+  // Per-request deadline and retries of idempotent calls after network errors / 5xx
+  apiTimeoutMs: (parseFloat(process.env.SRP_TIMEOUT_SECONDS) || 15) * 1000,
+  apiMaxRetries: parseInt(process.env.SRP_MAX_RETRIES ?? '2', 10) || 0,
+  // Credential checks (0 = off) and early warning before a JWT token's expiry
+  authProbeMs: parseFloat(process.env.AUTH_PROBE_MINUTES ?? '5') * 60 * 1000 || 0,
+  authWarningMs: (parseFloat(process.env.AUTH_WARNING_HOURS) || 24) * 3600 * 1000,
   discordWebhook: process.env.DISCORD_WEBHOOK || "",
+  // Discord application: interactions (slash commands, buttons) are enabled by its
+  // public key; with a bot token and channel id, alerts are posted as the bot so
+  // they can carry buttons. Allowed ids (users or roles) limit who can change things.
+  discordPublicKey: process.env.DISCORD_PUBLIC_KEY || "",
+  discordBotToken: process.env.DISCORD_BOT_TOKEN || "",
+  discordChannelId: process.env.DISCORD_CHANNEL_ID || "",
+  discordAllowedIds: (process.env.DISCORD_ALLOWED_IDS || "").split(',').map(id => id.trim()).filter(Boolean),
+  discordApiUrl: process.env.DISCORD_API_URL || "https://discord.com/api/v10",
+  // Extra notification channels (see channelsFromEnv)
+  notifyChannels: process.env.NOTIFY_CHANNELS || "",
+  notifyRoutes: process.env.NOTIFY_ROUTES || "",
+  // Global notification policy (JSON, see lib/policies.js) and local time of the daily digest
+  notifyPolicy: process.env.NOTIFY_POLICY || "",
+  digestTime: process.env.NOTIFY_DIGEST_TIME || "20:00",
   checkoutUrl: "https://www.showroomprive.com/checkout/cart",
   cartReservationMinutes: 15,
+  // Reservation keeper: reminder lead time (0 = off) and automatic re-holds per item (0 = off)
+  cartReminderMinutes: parseFloat(process.env.CART_REMINDER_MINUTES ?? '5'),
+  cartReholdMax: parseInt(process.env.CART_REHOLD_MAX, 10) || 0,
+  reservationCheckMs: 15 * 1000,
   checkIntervalMs: 60 * 1000,
-  // Showroomprivé auth headers (parsed from env or set individually)
-  customHeaders: parseHeadersFromEnv(process.env.SRP_HEADERS),
+  minCheckIntervalMs: 1000,
+  // Time zone of watch schedule times ("07:00") unless a schedule sets its own
+  scheduleTimeZone: process.env.SCHEDULE_TIMEZONE || "Europe/Paris",
+  phaseCheckMs: 5 * 1000,
+  maxCartQuantity: 10,
+  // Sale / category listings
+  collectionScanMs: (parseFloat(process.env.COLLECTION_SCAN_MINUTES) || 10) * 60 * 1000,
+  minCollectionScanMs: 60 * 1000,
+  maxConcurrency: parseInt(process.env.MAX_CONCURRENCY, 10) || 4,
+  jitterRatio: 0.1,
+  maxBackoffMs: 15 * 60 * 1000,
+  // Product details (name, brand, images, sale) are refreshed after this delay
+  metadataRefreshMs: (parseFloat(process.env.METADATA_REFRESH_HOURS) || 12) * 3600 * 1000,
+  // Showroomprivé auth headers of the default account (parsed from env or set individually)
+  customHeaders: parseHeaderBlock(process.env.SRP_HEADERS),
   token: process.env.SRP_TOKEN || "",
   clientNum: process.env.SRP_CLIENT_NUM || "",
-  crm: process.env.SRP_CRM || ""
+  crm: process.env.SRP_CRM || "",
+  // Web UI / API access (auth is disabled when none of these are set)
+  adminPassword: process.env.ADMIN_PASSWORD || "",
+  viewerPassword: process.env.VIEWER_PASSWORD || "",
+  apiKeys: process.env.API_KEYS || "",
+  // Number of reverse proxies in front of the app (Railway: 1), used for client IPs
+  trustProxy: parseInt(process.env.TRUST_PROXY ?? '1', 10) || 0,
+  // Logging: level (debug, info, warn, error), json (one object per line) or pretty,
+  // and number of entries kept for GET /api/logs
+  logLevel: process.env.LOG_LEVEL || "info",
+  logFormat: process.env.LOG_FORMAT || "json",
+  logBufferSize: parseInt(process.env.LOG_BUFFER_SIZE, 10) || 1000,
+  // Persistence
+  storageDriver: process.env.STORAGE_DRIVER || "file",
+  dataDir: process.env.DATA_DIR || "./data",
+  saveDebounceMs: 500
 };
 
+const storage = createStorage({ driver: CONFIG.storageDriver, dataDir: CONFIG.dataDir });
+
+// Live updates for the web UI (GET /api/events)
+const events = createEventBus();
+
+// Structured logs, kept for GET /api/logs and streamed to the log tab.
+// Not replayed on reconnect: they would push the other events out of the
+// replay buffer, and the log tab reloads GET /api/logs instead.
+const logger = createLogger({
+  level: CONFIG.logLevel,
+  format: CONFIG.logFormat,
+  maxEntries: CONFIG.logBufferSize,
+  onEntry: (entry) => events.publish('log', entry, { replay: false })
+});
+
 // Store monitored products
 const monitoredProducts = new Map();
 
 // Product history (persists across monitoring sessions)
 const productHistory = new Map();
 
-// Monitoring interval reference
-let monitoringInterval = null;
+// ============== ACCOUNTS ==============
+// Each Showroomprivé account has its own credentials, token-expiry state
+// and optional notification routing (channels + mention of its owner).
+// The "default" account is seeded from the SRP_* env variables.
+
+const DEFAULT_ACCOUNT_ID = 'default';
+const CART_MODES = ['single', 'fanout'];
+
+const accounts = new Map();
+
+function createAccount({ id, name, owner = '', mention = '', channels = [], customHeaders = {}, token = '', clientNum = '', crm = '' }) {
+  return {
+    id,
+    name: name || id,
+    owner,
+    mention,
+    channels,
+    customHeaders,
+    token,
+    clientNum,
+    crm,
+    tokenExpired: false,
+    tokenExpiredNotificationSent: false,
+    // Last auth probe (see probeAccountAuth) and token expiry already warned about
+    authCheckedAt: null,
+    authError: null,
+    tokenExpiryWarned: null
+  };
+}
+
+accounts.set(DEFAULT_ACCOUNT_ID, createAccount({
+  id: DEFAULT_ACCOUNT_ID,
+  name: 'Principal',
+  customHeaders: CONFIG.customHeaders,
+  token: CONFIG.token,
+  clientNum: CONFIG.clientNum,
+  crm: CONFIG.crm
+}));
+
+function getAccount(accountId) {
+  return accounts.get(accountId) || accounts.get(DEFAULT_ACCOUNT_ID);
+}
+
+function accountHasAuth(account) {
+  return !!(account.token || Object.keys(account.customHeaders).length > 0);
+}
+
+// Apply credentials from POST /api/config/headers or POST /api/accounts;
+// customHeaders comes from parseCapture and replaces the previous set
+function updateAccountCredentials(account, { customHeaders, token, clientNum, crm }) {
+  const updated = [];
+  if (customHeaders) {
+    account.customHeaders = customHeaders;
+    updated.push('headers');
+  }
+  if (token) {
+    account.token = token;
+    updated.push('token');
+  }
+  if (clientNum) {
+    account.clientNum = clientNum;
+    updated.push('client num');
+  }
+  if (crm) {
+    account.crm = crm;
+    updated.push('CRM');
+  }
+  // The account stays paused until a probe confirms the new credentials
+  if (updated.length > 0) {
+    account.tokenExpiredNotificationSent = false;
+  }
+  return updated;
+}
+
+// Public view of an account (no credentials)
+function describeAccount(account) {
+  return {
+    id: account.id,
+    name: account.name,
+    owner: account.owner,
+    mention: account.mention,
+    channels: account.channels,
+    hasAuth: accountHasAuth(account),
+    clientNum: account.clientNum || account.customHeaders.client_num || '',
+    tokenExpired: account.tokenExpired,
+    auth: describeAuth(account),
+    products: Array.from(monitoredProducts.values()).filter(p => p.accountIds.includes(account.id)).length
+  };
+}
+
+// Validate accountId/accountIds from API input; returns an ordered list of account ids
+function resolveAccountIds({ accountId, accountIds }) {
+  const ids = Array.isArray(accountIds) && accountIds.length > 0
+    ? accountIds
+    : [accountId || DEFAULT_ACCOUNT_ID];
+  const unknown = ids.filter(id => !accounts.has(id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown account(s): ${unknown.join(', ')}`);
+  }
+  return Array.from(new Set(ids));
+}
+
 
 // Add product to history
 function addToHistory(productId, productInfo, sizeMapping) {
@@ -57,15 +227,398 @@ function addToHistory(productId, productInfo, sizeMapping) {
     productId,
     title: productInfo.title || `Produit ${productId}`,
     label: productInfo.label,
+    brand: productInfo.brand || null,
+    imageUrl: productInfo.imageUrl || null,
+    sale: productInfo.sale || null,
     sizeMapping,
     addedAt: new Date().toISOString(),
     lastMonitored: new Date().toISOString()
   });
 }
 
+// ============== PERSISTENCE ==============
+
+function serializeState() {
+  const products = [];
+  for (const [key, product] of monitoredProducts) {
+    products.push({
+      key,
+      productId: product.productId,
+      productInfo: product.productInfo,
+      sizeMapping: product.sizeMapping,
+      watchedSizes: Array.from(product.watchedSizes),
+      previousStock: product.previousStock,
+      notified: Array.from(product.notified),
+      timeline: product.timeline,
+      priceRules: product.priceRules,
+      checkIntervalMs: product.checkIntervalMs,
+      accountIds: product.accountIds,
+      cartMode: product.cartMode,
+      sizePriority: product.sizePriority,
+      quantity: product.quantity,
+      maxSpend: product.maxSpend,
+      spent: product.spent,
+      fulfilledAt: product.fulfilledAt,
+      watchSchedule: product.watchSchedule,
+      notificationPolicy: product.notificationPolicy,
+      lastAlerts: product.lastAlerts,
+      paused: product.paused,
+      pending: product.pending
+    });
+  }
+
+  return {
+    version: 2,
+    savedAt: new Date().toISOString(),
+    products,
+    history: Array.from(productHistory.values()),
+    accounts: Array.from(accounts.values()).map(account => ({
+      id: account.id,
+      name: account.name,
+      owner: account.owner,
+      mention: account.mention,
+      channels: account.channels,
+      customHeaders: account.customHeaders,
+      token: account.token,
+      clientNum: account.clientNum,
+      crm: account.crm,
+      tokenExpiryWarned: account.tokenExpiryWarned
+    })),
+    // Only persisted once changed through the API, so env changes still apply otherwise
+    notifications: notificationConfig.source === 'api'
+      ? { channels: notificationConfig.channels, routes: notificationConfig.routes }
+      : null,
+    notificationPolicy: notificationConfig.policySource === 'api' ? { policy: notificationConfig.policy } : null,
+    notificationDigest: digest.toJSON(),
+    notificationLog: deliveryQueue.toJSON(),
+    cartReservations: Array.from(cartReservations.values()),
+    productMetadata: metadataCache.toJSON(),
+    collections: Array.from(watchedCollections.values()),
+    logs: logger.toJSON(),
+    cartAttempts: cartAttempts.toJSON(),
+    monitoring: monitoringControl
+  };
+}
+
+function restoreState(state) {
+  // Accounts first so products can reference them.
+  // Credentials saved through the API take precedence over env values.
+  for (const saved of state.accounts || []) {
+    const account = accounts.get(saved.id) || createAccount({ id: saved.id });
+    account.name = saved.name || account.name;
+    account.owner = saved.owner || '';
+    try {
+      account.mention = parseMentions(saved.mention || '').join(' ');
+    } catch (error) {
+      // Saved before account mentions were checked
+      logger.warn(`Dropping invalid mention of account ${saved.id}: ${error.message}`, { event: 'state_restore', account: saved.id });
+      account.mention = '';
+    }
+    account.channels = saved.channels || [];
+    if (saved.customHeaders && Object.keys(saved.customHeaders).length > 0) {
+      account.customHeaders = saved.customHeaders;
+    }
+    if (saved.token) account.token = saved.token;
+    if (saved.clientNum) account.clientNum = saved.clientNum;
+    if (saved.crm) account.crm = saved.crm;
+    account.tokenExpiryWarned = saved.tokenExpiryWarned || null;
+    accounts.set(account.id, account);
+  }
+  
+  // Version 1 stored a single auth profile
+  if (state.auth) {
+    const account = accounts.get(DEFAULT_ACCOUNT_ID);
+    if (state.auth.customHeaders && Object.keys(state.auth.customHeaders).length > 0) {
+      account.customHeaders = state.auth.customHeaders;
+    }
+    if (state.auth.token) account.token = state.auth.token;
+    if (state.auth.clientNum) account.clientNum = state.auth.clientNum;
+    if (state.auth.crm) account.crm = state.auth.crm;
+  }
+  
+  if (state.monitoring) {
+    monitoringControl.paused = !!state.monitoring.paused;
+    monitoringControl.pausedAt = state.monitoring.pausedAt || null;
+    monitoringControl.watchSchedule = state.monitoring.watchSchedule || null;
+  }
+  
+  for (const product of state.products || []) {
+    const accountIds = (product.accountIds || []).filter(id => accounts.has(id));
+    monitoredProducts.set(product.key, {
+      productId: product.productId,
+      productInfo: product.productInfo,
+      sizeMapping: product.sizeMapping || {},
+      watchedSizes: new Set(product.watchedSizes || []),
+      previousStock: product.previousStock || {},
+      notified: new Set(product.notified || []),
+      timeline: product.timeline || {},
+      priceRules: product.priceRules || {},
+      checkIntervalMs: product.checkIntervalMs || null,
+      accountIds: accountIds.length > 0 ? accountIds : [DEFAULT_ACCOUNT_ID],
+      cartMode: product.cartMode || 'single',
+      sizePriority: product.sizePriority || null,
+      quantity: product.quantity || 1,
+      maxSpend: product.maxSpend ?? null,
+      spent: product.spent || 0,
+      fulfilledAt: product.fulfilledAt || null,
+      watchSchedule: product.watchSchedule || null,
+      notificationPolicy: product.notificationPolicy || null,
+      lastAlerts: product.lastAlerts || {},
+      paused: !!product.paused,
+      pending: product.pending || null
+    });
+    scheduler.add(product.key);
+  }
+
+  for (const item of state.history || []) {
+    productHistory.set(item.productId, item);
+  }
+  
+  metadataCache.restore(state.productMetadata || {});
+  
+  for (const collection of state.collections || []) {
+    const accountIds = (collection.accountIds || []).filter(id => accounts.has(id));
+    watchedCollections.set(collection.key, {
+      ...collection,
+      accountIds: accountIds.length > 0 ? accountIds : [DEFAULT_ACCOUNT_ID],
+      knownProducts: collection.knownProducts || {}
+    });
+    collectionScheduler.add(collection.key);
+  }
+  
+  if (state.notifications) {
+    try {
+      configureNotifications(state.notifications.channels || [], state.notifications.routes || {}, 'api');
+    } catch (error) {
+      logger.warn('Ignoring saved notification config', { event: 'state_restore', error });
+    }
+  }
+  if (state.notificationPolicy) {
+    notificationConfig.policy = state.notificationPolicy.policy || null;
+    notificationConfig.policySource = 'api';
+  }
+  
+  deliveryQueue.restore(state.notificationLog || []);
+  digest.restore(state.notificationDigest || {});
+  logger.restore(state.logs || []);
+  cartAttempts.restore(state.cartAttempts || []);
+  
+  for (const reservation of state.cartReservations || []) {
+    cartReservations.set(reservationKey(reservation.accountId, reservation.productId, reservation.offerId), {
+      reminderSent: false,
+      finalCheckDone: false,
+      reholdCount: 0,
+      cycles: [],
+      ...reservation
+    });
+  }
+  pruneReservations();
+}
+
+let saveTimeout = null;
+
+function saveStateNow() {
+  if (saveTimeout) {
+    clearTimeout(saveTimeout);
+    saveTimeout = null;
+  }
+  try {
+    storage.save(serializeState());
+  } catch (error) {
+    logger.error('Failed to save state', { event: 'state_save', error });
+  }
+}
+
+// Coalesce bursts of changes (e.g. one monitoring tick) into a single write
+function scheduleSave() {
+  if (saveTimeout) return;
+  saveTimeout = setTimeout(saveStateNow, CONFIG.saveDebounceMs);
+}
+
+function loadState() {
+  let state;
+  try {
+    state = storage.load();
+  } catch (error) {
+    // The driver has set the unreadable state aside: start empty
+    logger.error('Failed to load state', { event: 'state_restore', error });
+    return;
+  }
+  if (!state) {
+    logger.info(`No saved state found (${storage.name} storage)`, { event: 'state_restore' });
+    return;
+  }
+  
+  try {
+    restoreState(state);
+  } catch (error) {
+    // Running on a partly restored state would overwrite the saved one at the next save
+    logger.error(`Failed to restore state from ${storage.location || storage.name}`, { event: 'state_restore', error });
+    process.exit(1);
+  }
+  logger.info(`Restored ${monitoredProducts.size} product(s) and ${productHistory.size} history item(s) from ${storage.location || storage.name}`, { event: 'state_restore' });
+}
+
+// ============== METRICS ==============
+// Served at GET /metrics. Per-product series are dropped when the product
+// is removed so the number of series follows the watchlist.
+
+const metricsRegistry = createRegistry({ logger });
+
+const metrics = {
+  productPolls: metricsRegistry.counter({
+    name: 'srp_product_polls_total',
+    help: 'Stock checks per monitored product',
+    labelNames: ['product_id', 'result']
+  }),
+  collectionScans: metricsRegistry.counter({
+    name: 'srp_collection_scans_total',
+    help: 'Scans per watched sale or category',
+    labelNames: ['collection', 'result']
+  }),
+  pollDuration: metricsRegistry.histogram({
+    name: 'srp_poll_duration_seconds',
+    help: 'Duration of a product check or collection scan',
+    labelNames: ['kind']
+  }),
+  schedulerLag: metricsRegistry.histogram({
+    name: 'srp_scheduler_lag_seconds',
+    help: 'Delay between the planned and the actual start of a check',
+    labelNames: ['kind'],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300]
+  }),
+  upstreamDuration: metricsRegistry.histogram({
+    name: 'srp_upstream_request_duration_seconds',
+    help: 'Duration of Showroomprivé API calls (each retry counts)',
+    labelNames: ['endpoint']
+  }),
+  upstreamErrors: metricsRegistry.counter({
+    name: 'srp_upstream_errors_total',
+    help: 'Failed Showroomprivé API calls by error type and HTTP status',
+    labelNames: ['type', 'status']
+  }),
+  restocks: metricsRegistry.counter({
+    name: 'srp_restocks_total',
+    help: 'Watched sizes detected back in stock',
+    labelNames: ['product_id']
+  }),
+  cartAttempts: metricsRegistry.counter({
+    name: 'srp_cart_attempts_total',
+    help: 'Add-to-cart attempts by trigger (restock, price, watch, launch, rehold, discord, test)',
+    labelNames: ['account', 'trigger', 'result']
+  }),
+  detectionToCart: metricsRegistry.histogram({
+    name: 'srp_cart_detection_to_cart_seconds',
+    help: 'Time from the stock response showing a restock to the add-to-cart response',
+    labelNames: ['result'],
+    buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 30]
+  }),
+  notifications: metricsRegistry.counter({
+    name: 'srp_notification_deliveries_total',
+    help: 'Notification delivery outcomes per channel',
+    labelNames: ['channel', 'status']
+  })
+};
+
+metricsRegistry.gauge({
+  name: 'srp_auth_state',
+  help: 'Token state per account (1 for the current state)',
+  labelNames: ['account', 'state'],
+  collect: (gauge) => {
+    gauge.reset();
+    for (const account of accounts.values()) {
+      const current = authState(account);
+      for (const state of ['valid', 'expiring', 'expired']) {
+        gauge.set({ account: account.id, state }, state === current ? 1 : 0);
+      }
+    }
+  }
+});
+
+metricsRegistry.gauge({
+  name: 'srp_token_expiry_timestamp_seconds',
+  help: 'Expiry of JWT tokens, as a Unix timestamp',
+  labelNames: ['account'],
+  collect: (gauge) => {
+    gauge.reset();
+    for (const account of accounts.values()) {
+      const expiresAt = tokenExpiresAt(account);
+      if (expiresAt) gauge.set({ account: account.id }, Math.floor(expiresAt.getTime() / 1000));
+    }
+  }
+});
+
+metricsRegistry.gauge({
+  name: 'srp_watched_items',
+  help: 'Monitored products and watched collections',
+  labelNames: ['kind'],
+  collect: (gauge) => {
+    gauge.set({ kind: 'product' }, monitoredProducts.size);
+    gauge.set({ kind: 'collection' }, watchedCollections.size);
+  }
+});
+
+metricsRegistry.gauge({
+  name: 'srp_scheduler_active_checks',
+  help: 'Checks currently running',
+  labelNames: ['kind'],
+  collect: (gauge) => {
+    gauge.set({ kind: 'product' }, scheduler.activeCount());
+    gauge.set({ kind: 'collection' }, collectionScheduler.activeCount());
+  }
+});
+
+metricsRegistry.gauge({
+  name: 'srp_upstream_rate_limited',
+  help: '1 while calls are held back after a 429',
+  collect: (gauge) => gauge.set({}, srpClient.getStatus().rateLimitedUntil ? 1 : 0)
+});
+
+metricsRegistry.gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: (gauge) => gauge.set({}, process.memoryUsage().rss)
+});
+
+metricsRegistry.gauge({
+  name: 'process_start_time_seconds',
+  help: 'Start time of the process since the Unix epoch in seconds',
+  collect: (gauge) => gauge.set({}, Math.floor(Date.now() / 1000 - process.uptime()))
+});
+
+function upstreamErrorType(error) {
+  if (error instanceof RateLimitError) return 'rate_limit';
+  if (error instanceof AuthError) return 'auth';
+  if (error instanceof NotFoundError) return 'not_found';
+  if (error.code === 'ETIMEDOUT') return 'timeout';
+  if (error.code === 'EPARSE' || error.code === 'EDECOMPRESS') return 'invalid_response';
+  return error.statusCode ? 'http' : 'network';
+}
+
+function recordUpstreamRequest({ path, durationMs, error }) {
+  // "/market.svc/quantity/38450594?x=1" -> "/market.svc/quantity/:id"
+  const endpoint = path.split('?')[0].replace(/\/\d+(?=\/|$)/g, '/:id');
+  metrics.upstreamDuration.observe({ endpoint }, durationMs / 1000);
+  if (error) {
+    metrics.upstreamErrors.inc({ type: upstreamErrorType(error), status: error.statusCode || '' });
+  }
+}
+
+// Scheduler onRun hook for products ('product') and collections ('collection')
+function recordCheck(kind, key, { durationMs, lagMs, error }) {
+  const result = error ? 'error' : 'ok';
+  if (kind === 'product') {
+    metrics.productPolls.inc({ product_id: key, result });
+  } else {
+    metrics.collectionScans.inc({ collection: key, result });
+  }
+  metrics.pollDuration.observe({ kind }, durationMs / 1000);
+  metrics.schedulerLag.observe({ kind }, Math.max(0, lagMs) / 1000);
+}
+
 // ============== SHOWROOMPRIVE API FUNCTIONS ==============
 
-function getDefaultHeaders() {
+function getDefaultHeaders(account = getAccount(DEFAULT_ACCOUNT_ID)) {
   // Build headers from config
   const headers = {
     'deviceversion': '5',
@@ -91,92 +644,30 @@ function getDefaultHeaders() {
   };
   
   // Add auth headers
-  if (CONFIG.token) {
-    headers['token'] = CONFIG.token;
+  if (account.token) {
+    headers['token'] = account.token;
   }
-  if (CONFIG.clientNum) {
-    headers['client_num'] = CONFIG.clientNum;
+  if (account.clientNum) {
+    headers['client_num'] = account.clientNum;
   }
-  if (CONFIG.crm) {
-    headers['crm'] = CONFIG.crm;
+  if (account.crm) {
+    headers['crm'] = account.crm;
   }
   
-  // Override with custom headers from env
-  Object.assign(headers, CONFIG.customHeaders);
+  // Override with the account's custom headers
+  Object.assign(headers, account.customHeaders);
   
   return headers;
 }
 
-function makeRequest(method, path, body = null) {
-  return new Promise((resolve, reject) => {
-    const headers = getDefaultHeaders();
-    const postData = body ? JSON.stringify(body) : null;
-
-    if (postData) {
-      headers['Content-Type'] = 'application/json';
-      headers['Content-Length'] = Buffer.byteLength(postData);
-    }
-
-    const options = {
-      hostname: 'mtandao.showroomprive.com',
-      port: 443,
-      path: path,
-      method: method,
-      headers: headers
-    };
-
-    const req = https.request(options, (res) => {
-      let chunks = [];
-      
-      res.on('data', (chunk) => { chunks.push(chunk); });
-      res.on('end', () => {
-        let buffer = Buffer.concat(chunks);
-        
-        // Decompress if needed
-        const encoding = res.headers['content-encoding'];
-        if (encoding === 'gzip') {
-          try {
-            buffer = zlib.gunzipSync(buffer);
-          } catch (e) { /* ignore */ }
-        } else if (encoding === 'br') {
-          try {
-            buffer = zlib.brotliDecompressSync(buffer);
-          } catch (e) { /* ignore */ }
-        } else if (encoding === 'deflate') {
-          try {
-            buffer = zlib.inflateSync(buffer);
-          } catch (e) { /* ignore */ }
-        }
-        
-        const data = buffer.toString('utf8');
-        
-        if (res.statusCode === 401 || res.statusCode === 403) {
-          reject(new Error(`Unauthorized (${res.statusCode}) - Token expired or invalid`));
-          return;
-        }
-        
-        if (res.statusCode >= 400) {
-          reject(new Error(`HTTP Error ${res.statusCode}: ${data}`));
-          return;
-        }
-        
-        try {
-          const response = JSON.parse(data);
-          resolve(response);
-        } catch (error) {
-          reject(new Error(`Parse error: ${error.message} - Raw: ${data.substring(0, 200)}`));
-        }
-      });
-    });
-
-    req.on('error', (error) => reject(error));
-    
-    if (postData) {
-      req.write(postData);
-    }
-    req.end();
-  });
-}
+const srpClient = createClient({
+  baseUrl: CONFIG.apiBaseUrl,
+  getHeaders: getDefaultHeaders,
+  timeoutMs: CONFIG.apiTimeoutMs,
+  maxRetries: CONFIG.apiMaxRetries,
+  maxSockets: CONFIG.maxConcurrency * 2,
+  onRequest: recordUpstreamRequest
+});
 
 // Parse Showroomprivé product URL
 function parseProductUrl(url) {
@@ -188,13 +679,85 @@ function parseProductUrl(url) {
   return null;
 }
 
+// Parse a Showroomprivé sale or category URL
+function parseCollectionUrl(url) {
+  // Formats: https://www.showroomprive.com/ventes/marque/12345, .../sale/12345,
+  // .../category/678 or ?saleId=12345
+  const sale = url.match(/\/(?:sale|sales|vente|ventes|operation)\/(?:[^/?#]+\/)*?(\d+)(?:[/?#]|$)/i) || url.match(/[?&]saleId=(\d+)/i);
+  if (sale) {
+    return { type: 'sale', id: sale[1] };
+  }
+  const category = url.match(/\/(?:category|categorie|categories|univers)\/(?:[^/?#]+\/)*?(\d+)(?:[/?#]|$)/i) || url.match(/[?&]categoryId=(\d+)/i);
+  if (category) {
+    return { type: 'category', id: category[1] };
+  }
+  return null;
+}
+
+// List all products of a sale or category (paginated)
+async function getCollectionProducts(type, collectionId, account, maxPages = 20) {
+  const products = [];
+  let name = null;
+  
+  for (let page = 1; page <= maxPages; page++) {
+    const path = `/market.svc/${type}/${collectionId}/products?page=${page}`;
+    const response = await srpClient.request('GET', path, null, account);
+    
+    if (response.status?.code !== 1) {
+      throw new UpstreamError(response.status?.message || `Failed to list ${type} products`);
+    }
+    
+    const listing = normalizeCollectionPage(response.data);
+    name = name || listing.name;
+    products.push(...listing.products);
+    if (listing.products.length === 0 || page >= listing.totalPages) {
+      break;
+    }
+  }
+  
+  return { name, products };
+}
+
+// Response format (offers may be missing, the stock endpoint is read then):
+// {"data":{"name":"...","totalPages":2,"products":[{"productId":"38450594","name":"...","brand":"...",
+//   "price":39.90,"originalPrice":89.90,"images":["https://..."],
+//   "offers":[{"offerId":"5014050","label":"S","available":0,"price":39.90}]}]}}
+// A page without `products` or `totalPages` is an error rather than a
+// guess, which would silently stop the listing at the first page
+function normalizeCollectionPage(data) {
+  const toNumber = value => (value === undefined || value === null || value === '' ? null : Number(value));
+  const totalPages = toNumber(data?.totalPages);
+  if (!Array.isArray(data?.products) || !Number.isInteger(totalPages) || totalPages < 1) {
+    throw new UpstreamError('Unexpected listing payload: expected products and totalPages');
+  }
+  
+  const products = data.products.map(item => ({
+    productId: String(item.productId),
+    title: item.name || null,
+    brand: item.brand || null,
+    imageUrl: (Array.isArray(item.images) && item.images[0]) || null,
+    price: toNumber(item.price),
+    originalPrice: toNumber(item.originalPrice),
+    offers: Array.isArray(item.offers)
+      ? item.offers.map(offer => ({
+        offerId: String(offer.offerId),
+        label: offer.label || '?',
+        available: toNumber(offer.available) || 0,
+        price: toNumber(offer.price) ?? toNumber(item.price)
+      }))
+      : null
+  })).filter(item => item.productId && item.productId !== 'undefined');
+  
+  return { name: data.name || null, products, totalPages };
+}
+
 // Get product stock/sizes
-async function getProductStock(productId) {
+async function getProductStock(productId, account) {
   const path = `/market.svc/quantity/${productId}?productid=${productId}`;
-  const response = await makeRequest('GET', path);
+  const response = await srpClient.request('GET', path, null, account);
   
   if (response.status?.code !== 1) {
-    throw new Error(response.status?.message || 'Failed to get stock');
+    throw new UpstreamError(response.status?.message || 'Failed to get stock');
   }
   
   // Response format:
@@ -202,303 +765,2623 @@ async function getProductStock(productId) {
   return response.data;
 }
 
-// Add to cart
-async function addToCart(productId, sizeId) {
-  const path = '/cart.svc/cart';
-  const body = {
-    add_cart_origin: 1,
-    updates: [{
-      prod_id: productId.toString(),
-      quantity: 1,
-      sized_id: sizeId.toString()
-    }]
-  };
+// Get product details (name, brand, images, sale)
+async function getProductDetails(productId, account) {
+  const path = `/market.svc/product/${productId}?productid=${productId}`;
+  const response = await srpClient.request('GET', path, null, account);
+  
+  if (response.status?.code !== 1) {
+    throw new UpstreamError(response.status?.message || 'Failed to get product details');
+  }
+  
+  // Response format:
+  // {"data":{"product":{"id":"38450594","name":"...","brand":{"name":"..."},"images":[{"url":"..."}],
+  //   "price":39.90,"originalPrice":89.90,"sale":{"name":"...","endDate":"2026-10-20T06:00:00Z"}}}}
+  return normalizeProductDetails(response.data);
+}
+
+// Only the format above is read: anything else is an error, so a changed
+// payload shows up in the logs instead of as blank product cards
+function normalizeProductDetails(data) {
+  const product = data?.product;
+  if (!product || typeof product !== 'object') {
+    throw new UpstreamError('Unexpected product details payload: no product object');
+  }
+  
+  const toNumber = value => (value === undefined || value === null || value === '' ? null : Number(value));
+  const images = (Array.isArray(product.images) ? product.images : []).map(image => image?.url).filter(Boolean);
+  const saleEnd = product.sale?.endDate;
   
-  const response = await makeRequest('POST', path, body);
+  return {
+    title: product.name || null,
+    brand: product.brand?.name || null,
+    images,
+    sale: {
+      name: product.sale?.name || null,
+      endsAt: saleEnd && !isNaN(Date.parse(saleEnd)) ? new Date(saleEnd).toISOString() : null
+    },
+    originalPrice: toNumber(product.originalPrice),
+    price: toNumber(product.price)
+  };
+}
+
+// Add to cart
+const CART_PATH = '/cart.svc/cart';
+
+// cart.svc adds `quantity` units to the line when add_cart_origin is set;
+// without it `quantity` is the line's new quantity, and 0 removes the line
+function addToCartBody(productId, sizeId, quantity, { setQuantity = false } = {}) {
+  const updates = [{
+    prod_id: productId.toString(),
+    quantity,
+    sized_id: sizeId.toString()
+  }];
+  return setQuantity ? { updates } : { add_cart_origin: 1, updates };
+}
+
+// Resolves with the parsed API response too, for the cart attempt log
+async function addToCart(productId, sizeId, account, quantity = 1) {
+  const response = await srpClient.request('POST', CART_PATH, addToCartBody(productId, sizeId, quantity), account);
   
   if (response.status?.code === 1) {
     return {
       success: true,
-      update: response.data?.updates?.[0]
+      update: response.data?.updates?.[0],
+      response
     };
   }
   
-  return { success: false, message: response.status?.message };
+  return { success: false, message: response.status?.message, response };
 }
 
-// ============== DISCORD NOTIFICATIONS ==============
+// Set the quantity of a cart line. A success status is not enough: the
+// cart is read back and the update fails unless the line now holds
+// `quantity` units (or is gone, for 0)
+async function updateCartItem(productId, sizeId, quantity, account) {
+  const response = await srpClient.request('POST', CART_PATH, addToCartBody(productId, sizeId, quantity, { setQuantity: true }), account);
+  
+  if (response.status?.code !== 1) {
+    return { success: false, message: response.status?.message };
+  }
+  
+  const cart = await getCart(account);
+  const line = cart.items.find(item => item.productId === String(productId) && item.offerId === String(sizeId));
+  const actual = line ? line.quantity : 0;
+  if (actual !== quantity) {
+    return { success: false, message: `Cart line holds ${actual} unit(s) instead of ${quantity} after the update` };
+  }
+  
+  return { success: true, update: response.data?.updates?.[0] };
+}
 
-function sendDiscordWebhook(payload) {
-  return new Promise((resolve, reject) => {
-    if (!CONFIG.discordWebhook) {
-      console.log('Discord webhook not configured');
-      return resolve(false);
-    }
-    
-    const webhookUrl = new URL(CONFIG.discordWebhook);
-    const payloadStr = JSON.stringify(payload);
+// Read the account's cart
+async function getCart(account) {
+  const response = await srpClient.request('GET', CART_PATH, null, account);
+  
+  if (response.status?.code !== 1) {
+    throw new UpstreamError(response.status?.message || 'Failed to get cart');
+  }
+  
+  return normalizeCart(response.data);
+}
 
-    const options = {
-      hostname: webhookUrl.hostname,
-      port: 443,
-      path: webhookUrl.pathname,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(payloadStr)
-      }
+// cart.svc lists the lines under `items`, keyed by prod_id / sized_id
+// like the update body
+function normalizeCart(data) {
+  if (!Array.isArray(data?.items)) {
+    throw new UpstreamError('Unexpected cart payload: no items list');
+  }
+  
+  const items = data.items.map(item => {
+    const productId = String(item.prod_id);
+    const offerId = String(item.sized_id);
+    const quantity = Number(item.quantity);
+    const unitPrice = Number(item.price);
+    
+    return {
+      id: `${productId}:${offerId}`,
+      productId,
+      offerId,
+      title: item.label ?? null,
+      size: item.size ?? null,
+      quantity,
+      unitPrice,
+      total: Math.round(unitPrice * quantity * 100) / 100,
+      reservedUntil: item.expiration_date ? new Date(item.expiration_date).toISOString() : null
     };
-
-    const req = https.request(options, (res) => {
-      if (res.statusCode === 204 || res.statusCode === 200) {
-        resolve(true);
-      } else {
-        reject(new Error(`Discord error: ${res.statusCode}`));
-      }
-    });
-
-    req.on('error', reject);
-    req.write(payloadStr);
-    req.end();
   });
+  
+  return {
+    items,
+    totalAmount: items.reduce((sum, item) => sum + item.total, 0)
+  };
 }
 
-function sendStockNotification(productInfo, offerId, size, quantity, price, productUrl) {
-  const embed = {
-    title: "🚨 STOCK DISPONIBLE!",
-    color: 0x9c27b0, // Showroomprivé purple
-    fields: [
-      { name: "👕 Produit", value: `**${productInfo.title || 'Produit'}**`, inline: false },
-      { name: "📏 Taille", value: `**${size}**`, inline: true },
-      { name: "📦 Quantité", value: `${quantity} dispo`, inline: true },
-      { name: "💰 Prix", value: `${price}€`, inline: true },
-      { name: "🔗 Produit", value: `[Voir le produit](${productUrl})`, inline: true },
-      { name: "🛒 Checkout", value: `[Aller au panier](${CONFIG.checkoutUrl})`, inline: true }
-    ],
-    footer: { text: `Offer ID: ${offerId}` },
-    timestamp: new Date().toISOString()
-  };
+// ============== PRODUCT METADATA ==============
 
-  return sendDiscordWebhook({
-    content: "@everyone 🚨 **STOCK DISPONIBLE - AJOUTE VITE AU PANIER!**",
-    embeds: [embed]
-  });
+const metadataCache = createMetadataCache({
+  fetchDetails: (productId, { account } = {}) => getProductDetails(productId, account),
+  ttlMs: CONFIG.metadataRefreshMs
+});
+
+// productInfo as stored on products and history entries; falls back to the
+// stock endpoint's label, then to a placeholder, when details are unknown
+function buildProductInfo(productId, details, label) {
+  const images = details?.images || [];
+  return {
+    productId,
+    title: details?.title || label || `Produit ${productId}`,
+    label,
+    brand: details?.brand || null,
+    images,
+    imageUrl: images[0] || null,
+    sale: details?.sale || null,
+    originalPrice: details?.originalPrice ?? null,
+    price: details?.price ?? null,
+    fetchedAt: details?.fetchedAt || null
+  };
 }
 
-function sendCartNotification(productInfo, offerId, size, quantity, price, productUrl) {
-  const deadline = new Date(Date.now() + CONFIG.cartReservationMinutes * 60 * 1000);
-  const deadlineStr = deadline.toLocaleString('fr-FR', {
-    day: '2-digit', month: '2-digit', year: 'numeric',
-    hour: '2-digit', minute: '2-digit'
-  });
+// Cached details, refreshed if stale; a failed lookup never blocks monitoring
+async function loadProductInfo(productId, account, label) {
+  try {
+    return buildProductInfo(productId, await metadataCache.get(productId, { account }), label);
+  } catch (error) {
+    logger.warn('Failed to get product details', { event: 'metadata', productId, error });
+    return buildProductInfo(productId, metadataCache.peek(productId), label);
+  }
+}
 
-  const embed = {
-    title: "🛒 ARTICLE AJOUTÉ AU PANIER!",
-    color: 0x4caf50, // Green
-    fields: [
-      { name: "👕 Produit", value: `**${productInfo.title || 'Produit'}**`, inline: false },
-      { name: "📏 Taille", value: `**${size}**`, inline: true },
-      { name: "💰 Prix", value: `${price}€`, inline: true },
-      { name: "⏰ CHECKOUT AVANT", value: `**${deadlineStr}**`, inline: false },
-      { name: "🔗 Produit", value: `[Voir le produit](${productUrl})`, inline: true },
-      { name: "🛒 Checkout", value: `[Aller au panier](${CONFIG.checkoutUrl})`, inline: true }
-    ],
-    footer: { text: `Offer ID: ${offerId}` },
-    timestamp: new Date().toISOString()
-  };
+// Background refresh for a monitored product, also updating its history entry
+async function refreshProductInfo(key) {
+  const product = monitoredProducts.get(key);
+  if (!product) return;
+  
+  product.productInfo = await loadProductInfo(product.productId, getProductAccounts(product)[0], product.productInfo?.label);
+  const historyItem = productHistory.get(product.productId);
+  if (historyItem) {
+    Object.assign(historyItem, {
+      title: product.productInfo.title,
+      brand: product.productInfo.brand,
+      imageUrl: product.productInfo.imageUrl,
+      sale: product.productInfo.sale
+    });
+  }
+  scheduleSave();
+  publishProduct(key);
+}
 
-  return sendDiscordWebhook({
-    content: "@everyone 🛒 **AJOUTÉ AU PANIER - CHECKOUT MAINTENANT!**",
-    embeds: [embed]
-  });
+// Discount of an offer price against the product's original price
+function discountPercent(productInfo, price) {
+  const originalPrice = productInfo?.originalPrice;
+  if (!originalPrice || !price || price >= originalPrice) return null;
+  return Math.round((1 - price / originalPrice) * 100);
 }
 
-let tokenExpiredNotificationSent = false;
+// ============== NOTIFICATIONS ==============
 
-function sendTokenExpiredNotification(errorMessage) {
-  if (tokenExpiredNotificationSent) {
-    return Promise.resolve(false);
-  }
+// Channel definitions from env. DISCORD_WEBHOOK (or the Discord bot) and
+// the per-backend variables create one channel each; NOTIFY_CHANNELS (JSON
+// array) adds more.
+function channelsFromEnv() {
+  const definitions = [];
+  const env = process.env;
+
+  if (CONFIG.discordBotToken && CONFIG.discordChannelId) {
+    definitions.push({
+      name: 'discord',
+      type: 'discord',
+      botToken: CONFIG.discordBotToken,
+      channelId: CONFIG.discordChannelId,
+      baseUrl: CONFIG.discordApiUrl
+    });
+  } else if (CONFIG.discordWebhook) {
+    definitions.push({ name: 'discord', type: 'discord', webhookUrl: CONFIG.discordWebhook });
+  }
+  if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID) {
+    definitions.push({
+      name: 'telegram',
+      type: 'telegram',
+      botToken: env.TELEGRAM_BOT_TOKEN,
+      chatId: env.TELEGRAM_CHAT_ID,
+      ...(env.TELEGRAM_API_URL && { baseUrl: env.TELEGRAM_API_URL })
+    });
+  }
+  if (env.SLACK_WEBHOOK) {
+    definitions.push({ name: 'slack', type: 'slack', webhookUrl: env.SLACK_WEBHOOK });
+  }
+  if (env.NTFY_TOPIC) {
+    definitions.push({
+      name: 'ntfy',
+      type: 'ntfy',
+      topic: env.NTFY_TOPIC,
+      token: env.NTFY_TOKEN || '',
+      ...(env.NTFY_URL && { baseUrl: env.NTFY_URL })
+    });
+  }
+  if (env.WEBHOOK_URL) {
+    definitions.push({ name: 'webhook', type: 'webhook', url: env.WEBHOOK_URL });
+  }
+
+  if (CONFIG.notifyChannels) {
+    try {
+      for (const definition of JSON.parse(CONFIG.notifyChannels)) {
+        const index = definitions.findIndex(d => d.name === definition.name);
+        if (index >= 0) definitions.splice(index, 1);
+        definitions.push(definition);
+      }
+    } catch (error) {
+      logger.error('Invalid NOTIFY_CHANNELS', { event: 'config', error });
+    }
+  }
+
+  return definitions;
+}
+
+function policyFromEnv() {
+  if (!CONFIG.notifyPolicy) return null;
+  try {
+    return parseNotificationPolicy(JSON.parse(CONFIG.notifyPolicy));
+  } catch (error) {
+    logger.error('Invalid NOTIFY_POLICY', { event: 'config', error });
+    return null;
+  }
+}
+
+function routesFromEnv() {
+  if (!CONFIG.notifyRoutes) return {};
+  try {
+    return JSON.parse(CONFIG.notifyRoutes);
+  } catch (error) {
+    logger.error('Invalid NOTIFY_ROUTES', { event: 'config', error });
+    return {};
+  }
+}
+
+const notificationConfig = {
+  channels: [],   // definitions, as configured
+  routes: {},     // event type -> channel names (missing = all channels)
+  instances: new Map(),
+  source: 'env',  // 'api' once changed through the API (then persisted)
+  policy: null,   // global policy set, see lib/policies.js
+  policySource: 'env'
+};
+
+function parseNotificationPolicy(policy) {
+  return normalizePolicySet(policy, { eventTypes: EVENT_TYPES });
+}
+
+// Validate and apply channel definitions and routes; throws on invalid input
+function configureNotifications(channels, routes = {}, source = 'env') {
+  const instances = new Map();
+  for (const definition of channels) {
+    if (!definition.name) {
+      throw new Error('Every channel needs a name');
+    }
+    if (instances.has(definition.name)) {
+      throw new Error(`Duplicate channel name: ${definition.name}`);
+    }
+    instances.set(definition.name, createChannel(definition));
+  }
+
+  for (const [event, names] of Object.entries(routes)) {
+    if (!EVENT_TYPES.includes(event)) {
+      throw new Error(`Unknown event type: ${event}`);
+    }
+    if (!Array.isArray(names)) {
+      throw new Error(`Route for ${event} must be an array of channel names`);
+    }
+    const unknown = names.filter(name => !instances.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown channel(s) for ${event}: ${unknown.join(', ')}`);
+    }
+  }
+
+  notificationConfig.channels = channels;
+  notificationConfig.routes = routes;
+  notificationConfig.instances = instances;
+  notificationConfig.source = source;
+}
+
+function initNotifications() {
+  try {
+    configureNotifications(channelsFromEnv(), routesFromEnv());
+  } catch (error) {
+    logger.error('Invalid notification config', { event: 'config', error });
+  }
+  notificationConfig.policy = policyFromEnv();
+}
+
+function getRoutedChannels(event) {
+  const names = notificationConfig.routes[event] || Array.from(notificationConfig.instances.keys());
+  return names.filter(name => notificationConfig.instances.has(name));
+}
+
+const deliveryQueue = createDeliveryQueue({
+  getChannel: (name) => notificationConfig.instances.get(name),
+  onChange: (entry) => {
+    scheduleSave();
+    if (['sent', 'failed', 'retrying'].includes(entry.status)) {
+      metrics.notifications.inc({ channel: entry.channel, status: entry.status });
+    }
+    const fields = { event: `notification_${entry.status}`, channel: entry.channel, notification: entry.event, attempts: entry.attempts, error: entry.lastError };
+    if (entry.status === 'retrying') {
+      logger.warn(`Notification via ${entry.channel} failed, retry at ${entry.nextAttemptAt}`, fields);
+    } else if (entry.status === 'failed') {
+      logger.error(`Notification via ${entry.channel} failed permanently`, fields);
+    } else if (entry.status === 'sent') {
+      logger.debug(`Notification sent via ${entry.channel}`, fields);
+    }
+    events.publish('notification', {
+      id: entry.id,
+      channel: entry.channel,
+      event: entry.event,
+      title: entry.title,
+      status: entry.status,
+      attempts: entry.attempts,
+      lastError: entry.lastError
+    });
+  }
+});
+
+// Policy layers, least specific first: global, the account owner's
+// mention, then the product's own policy
+function notificationPolicyFor(event, product = null, account = null) {
+  return resolvePolicy(event, [
+    notificationConfig.policy,
+    account?.mention ? { mention: [account.mention] } : null,
+    product?.notificationPolicy
+  ]);
+}
+
+// Alerts held back by digest policies, see sendDigest
+const digest = createDigest({ maxItems: 500 });
+
+// Queue a message for every channel routed for this event, or for the
+// account's own channels when it has some. The policy adds the mention,
+// sends it silently during quiet hours or keeps it for the daily digest
+// (context.summary is its digest line). Delivery (retries, rate limits)
+// happens in the background; resolves to the delivery log entries.
+async function notify(event, message, account = null, { product = null, summary = null } = {}) {
+  const policy = notificationPolicyFor(event, product, account);
+  if (policy.digest && event !== 'digest') {
+    digest.add({
+      event,
+      title: message.embed?.title || '',
+      summary: summary || message.content,
+      productId: product?.productId || null,
+      account: account?.id || null
+    });
+    logger.debug(`Notification kept for the digest: ${event}`, { event: 'notification_digested', notification: event, productId: product?.productId, account: account?.id });
+    return [];
+  }
+
+  const channelNames = account?.channels?.length > 0
+    ? account.channels.filter(name => notificationConfig.instances.has(name))
+    : getRoutedChannels(event);
+  if (channelNames.length === 0) {
+    logger.warn(`No notification channel configured for ${event}`, { event: 'notification_unrouted', notification: event, account: account?.id });
+    return [];
+  }
+
+  const quiet = isQuietTime(policy, { timeZone: CONFIG.scheduleTimeZone });
+  const mention = quiet ? '' : formatMention(policy);
+  const outgoing = {
+    ...message,
+    content: [mention, message.content].filter(Boolean).join(' '),
+    ...(quiet && { silent: true })
+  };
+  return channelNames.map(name => deliveryQueue.enqueue(name, event, outgoing));
+}
+
+// A size that comes back within the policy's repeat interval of its last
+// alert (keyed "<event>:<offerId>") is not alerted again
+function isRepeatAlert(product, alertKey, policy) {
+  const lastAlertAt = product.lastAlerts?.[alertKey];
+  return !!lastAlertAt && policy.repeatIntervalMinutes > 0
+    && Date.now() - lastAlertAt < policy.repeatIntervalMinutes * 60 * 1000;
+}
+
+function recordAlert(product, alertKey) {
+  product.lastAlerts = { ...product.lastAlerts, [alertKey]: Date.now() };
+}
+
+function offerFooter(offerId, account) {
+  if (account && accounts.size > 1) {
+    return { text: `Offer ID: ${offerId} · Compte: ${account.name}` };
+  }
+  return { text: `Offer ID: ${offerId}` };
+}
+
+// "Brand — Title" for the product field of embeds
+function productHeadline(productInfo) {
+  const title = productInfo.title || 'Produit';
+  return productInfo.brand ? `${productInfo.brand} — ${title}` : title;
+}
+
+// Offer price with the original price and discount when known
+function formatOfferPrice(productInfo, price) {
+  const discount = discountPercent(productInfo, price);
+  return discount ? `${price}€ ~~${productInfo.originalPrice}€~~ (-${discount}%)` : `${price}€`;
+}
+
+function productThumbnail(productInfo) {
+  return productInfo.imageUrl ? { thumbnail: { url: productInfo.imageUrl } } : {};
+}
+
+const RESTOCK_SKIP_REASONS = {
+  auth: 'token expiré',
+  priority: 'une taille de la liste est déjà au panier',
+  budget: 'budget max atteint'
+};
+
+// One message per restock for each account: every size that came back and
+// what happened in that account's cart (added, failed or skipped).
+// Routed as a 'cart' event when something was added, 'stock' otherwise.
+function sendRestockNotification(product, outcomes, account = null) {
+  const productInfo = product.productInfo || {};
+  const productUrl = `https://www.showroomprive.com/link/product/${product.productId}`;
+  const carted = outcomes.filter(outcome => outcome.status === 'carted');
+  const { lowStockThreshold } = notificationPolicyFor('stock', product, account);
+  
+  const lines = outcomes.map(outcome => {
+    const price = formatOfferPrice(productInfo, outcome.price);
+    if (outcome.status === 'carted') {
+      return `✅ **${outcome.size}** ×${outcome.quantity} — ${price}`;
+    }
+    const detail = outcome.status === 'failed'
+      ? `❌ ${outcome.message || 'échec panier'}`
+      : `⏭️ ${RESTOCK_SKIP_REASONS[outcome.reason] || outcome.reason}`;
+    const lowStock = lowStockThreshold !== null && outcome.available <= lowStockThreshold ? ' ⚠️ stock faible' : '';
+    return `**${outcome.size}** (${outcome.available} dispo${lowStock}) — ${price} · ${detail}`;
+  });
+  
+  const fields = [
+    { name: "👕 Produit", value: `**${productHeadline(productInfo)}**`, inline: false },
+    { name: outcomes.length > 1 ? "📏 Tailles" : "📏 Taille", value: lines.join('\n'), inline: false }
+  ];
+  
+  if (carted.length > 0) {
+    const total = carted.reduce((sum, outcome) => sum + outcome.price * outcome.quantity, 0);
+    const deadline = new Date(Date.now() + CONFIG.cartReservationMinutes * 60 * 1000);
+    const deadlineStr = deadline.toLocaleString('fr-FR', {
+      day: '2-digit', month: '2-digit', year: 'numeric',
+      hour: '2-digit', minute: '2-digit'
+    });
+    fields.push({ name: "💰 Total ajouté", value: `${Math.round(total * 100) / 100}€`, inline: true });
+    if (product.maxSpend !== null && product.maxSpend !== undefined) {
+      fields.push({ name: "🎯 Budget", value: `${product.spent}€ / ${product.maxSpend}€`, inline: true });
+    }
+    fields.push({ name: "⏰ CHECKOUT AVANT", value: `**${deadlineStr}**`, inline: false });
+  }
+  
+  fields.push(
+    { name: "🔗 Produit", value: `[Voir le produit](${productUrl})`, inline: true },
+    { name: "🛒 Checkout", value: `[Aller au panier](${CONFIG.checkoutUrl})`, inline: true }
+  );
+
+  const embed = {
+    title: carted.length > 0 ? "🛒 ARTICLE AJOUTÉ AU PANIER!" : "🚨 STOCK DISPONIBLE!",
+    color: carted.length > 0 ? 0x4caf50 : 0x9c27b0, // Green / Showroomprivé purple
+    ...productThumbnail(productInfo),
+    fields,
+    footer: offerFooter(outcomes.map(outcome => outcome.offerId).join(', '), account),
+    timestamp: new Date().toISOString()
+  };
+
+  return notify(carted.length > 0 ? 'cart' : 'stock', {
+    content: carted.length > 0
+      ? "🛒 **AJOUTÉ AU PANIER - CHECKOUT MAINTENANT!**"
+      : "🚨 **STOCK DISPONIBLE - AJOUTE VITE AU PANIER!**",
+    embed,
+    components: restockButtons(product, outcomes)
+  }, account, {
+    product,
+    summary: `${productHeadline(productInfo)} · ${outcomes.map(outcome => `${outcome.size}${outcome.status === 'carted' ? ' ✅' : ''}`).join(', ')}`
+  });
+}
+
+function sendPriceNotification(productInfo, offerId, size, quantity, oldPrice, newPrice, productUrl, { maxPrice = null, addedToCart = false, account = null, product = null } = {}) {
+  const dropPercent = Math.round((1 - newPrice / oldPrice) * 100);
+
+  const fields = [
+    { name: "👕 Produit", value: `**${productHeadline(productInfo)}**`, inline: false },
+    { name: "📏 Taille", value: `**${size}**`, inline: true },
+    { name: "📦 Quantité", value: `${quantity} dispo`, inline: true },
+    { name: "💰 Prix", value: `~~${oldPrice}€~~ → **${newPrice}€** (-${dropPercent}%)`, inline: false }
+  ];
+  if (maxPrice !== null) {
+    fields.push({ name: "🎯 Prix cible", value: `${maxPrice}€`, inline: true });
+  }
+  fields.push(
+    { name: "🛒 Panier", value: addedToCart ? "✅ Ajouté au panier" : "Non ajouté", inline: true },
+    { name: "🔗 Produit", value: `[Voir le produit](${productUrl})`, inline: true },
+    { name: "🛒 Checkout", value: `[Aller au panier](${CONFIG.checkoutUrl})`, inline: true }
+  );
+
+  const embed = {
+    title: "💸 BAISSE DE PRIX!",
+    color: 0xff9800, // Orange
+    ...productThumbnail(productInfo),
+    fields,
+    footer: offerFooter(offerId, account),
+    timestamp: new Date().toISOString()
+  };
+
+  return notify('price', {
+    content: addedToCart
+      ? "💸 **PRIX CIBLE ATTEINT - AJOUTÉ AU PANIER!**"
+      : "💸 **BAISSE DE PRIX!**",
+    embed
+  }, account, {
+    product,
+    summary: `${productHeadline(productInfo)} · ${size} ${oldPrice}€ → ${newPrice}€${addedToCart ? ' ✅' : ''}`
+  });
+}
+
+// A watched size still in stock dropped to the policy's low-stock threshold
+function sendLowStockNotification(product, offerId, offerData, account) {
+  const productInfo = product.productInfo || {};
+  const size = offerData.label || '?';
+  const fields = [
+    { name: "👕 Produit", value: `**${productHeadline(productInfo)}**`, inline: false },
+    { name: "📏 Taille", value: `**${size}**`, inline: true },
+    { name: "📦 Restant", value: `**${offerData.available}**`, inline: true },
+    { name: "💰 Prix", value: formatOfferPrice(productInfo, offerData.price), inline: true },
+    { name: "🔗 Produit", value: `[Voir le produit](https://www.showroomprive.com/link/product/${product.productId})`, inline: true },
+    { name: "🛒 Checkout", value: `[Aller au panier](${CONFIG.checkoutUrl})`, inline: true }
+  ];
+
+  return notify('low_stock', {
+    content: offerData.available === 1 ? "📉 **PLUS QU'UN SEUL EXEMPLAIRE!**" : `📉 **PLUS QUE ${offerData.available} EXEMPLAIRES!**`,
+    embed: {
+      title: "📉 STOCK FAIBLE",
+      color: 0xff5722, // Deep orange
+      ...productThumbnail(productInfo),
+      fields,
+      footer: offerFooter(offerId, account),
+      timestamp: new Date().toISOString()
+    }
+  }, account, {
+    product,
+    summary: `${productHeadline(productInfo)} · ${size} (${offerData.available} restant${offerData.available > 1 ? 's' : ''})`
+  });
+}
+
+function sendReservationNotification(kind, reservation, account) {
+  const variants = {
+    reminder: {
+      title: "⏰ RÉSERVATION BIENTÔT EXPIRÉE",
+      color: 0xff9800,
+      content: "⏰ **CHECKOUT AVANT EXPIRATION DU PANIER!**"
+    },
+    rehold: {
+      title: "🔁 ARTICLE RE-RÉSERVÉ",
+      color: 0x4caf50,
+      content: "🔁 **RÉSERVATION EXPIRÉE - ARTICLE REMIS AU PANIER!**"
+    },
+    expired: {
+      title: "⌛ RÉSERVATION EXPIRÉE",
+      color: 0xf44336,
+      content: "⌛ **RÉSERVATION EXPIRÉE**"
+    }
+  };
+  const variant = variants[kind];
+  const deadlineStr = new Date(reservation.expiresAt).toLocaleString('fr-FR', {
+    day: '2-digit', month: '2-digit', year: 'numeric',
+    hour: '2-digit', minute: '2-digit'
+  });
+  const productUrl = `https://www.showroomprive.com/link/product/${reservation.productId}`;
+
+  const fields = [
+    { name: "👕 Produit", value: `**${reservation.title}**`, inline: false },
+    { name: "📏 Taille", value: `**${reservation.size}**`, inline: true }
+  ];
+  if (reservation.price !== null) {
+    fields.push({ name: "💰 Prix", value: `${reservation.price}€`, inline: true });
+  }
+  if (kind !== 'expired') {
+    fields.push({ name: "⏰ CHECKOUT AVANT", value: `**${deadlineStr}**`, inline: false });
+  }
+  if (reservation.reholdCount > 0) {
+    fields.push({ name: "🔁 Re-réservations", value: `${reservation.reholdCount}/${CONFIG.cartReholdMax}`, inline: true });
+  }
+  fields.push(
+    { name: "🔗 Produit", value: `[Voir le produit](${productUrl})`, inline: true },
+    { name: "🛒 Checkout", value: `[Aller au panier](${CONFIG.checkoutUrl})`, inline: true }
+  );
+
+  return notify('reservation', {
+    content: variant.content,
+    embed: {
+      title: variant.title,
+      color: variant.color,
+      fields,
+      footer: offerFooter(reservation.offerId, account),
+      timestamp: new Date().toISOString()
+    }
+  }, account, {
+    product: monitoredProducts.get(reservation.productId),
+    summary: `${reservation.title} · ${reservation.size}`
+  });
+}
+
+// kind: 'new' (product newly listed) or 'restock' (matching sizes back in stock)
+function sendCollectionNotification(kind, collection, item, offers, account = null) {
+  const productInfo = {
+    title: item.title || `Produit ${item.productId}`,
+    brand: item.brand,
+    imageUrl: item.imageUrl,
+    originalPrice: item.originalPrice
+  };
+  const productUrl = `https://www.showroomprive.com/link/product/${item.productId}`;
+  const price = offers.find(offer => offer.price !== null)?.price ?? item.price;
+  const fields = [
+    { name: "👕 Produit", value: `**${productHeadline(productInfo)}**`, inline: false },
+    { name: collection.type === 'sale' ? "🏷️ Vente" : "🗂️ Catégorie", value: collection.name || collection.sourceId, inline: true },
+    { name: "📏 Tailles", value: offers.map(offer => `**${offer.label}** (${offer.available})`).join(', '), inline: true }
+  ];
+  if (price !== null && price !== undefined) {
+    fields.push({ name: "💰 Prix", value: formatOfferPrice(productInfo, price), inline: true });
+  }
+  fields.push(
+    { name: "🔗 Produit", value: `[Voir le produit](${productUrl})`, inline: true },
+    { name: "➕ Surveillance", value: collection.autoPromote ? "Ajouté au monitoring" : `Product ID: ${item.productId}`, inline: true }
+  );
+  
+  const embed = {
+    title: kind === 'new' ? "🆕 NOUVEAU PRODUIT!" : "🔄 RETOUR EN STOCK!",
+    color: kind === 'new' ? 0x2196f3 : 0x9c27b0,
+    ...productThumbnail(productInfo),
+    fields,
+    footer: { text: `${collection.type === 'sale' ? 'Vente' : 'Catégorie'} ${collection.sourceId}` },
+    timestamp: new Date().toISOString()
+  };
+  
+  return notify('collection', {
+    content: kind === 'new' ? "🆕 **NOUVEAU PRODUIT DANS LA VENTE!**" : "🔄 **RETOUR EN STOCK DANS LA VENTE!**",
+    embed
+  }, account, {
+    summary: `${productHeadline(productInfo)} · ${collection.name || collection.sourceId} · ${offers.map(offer => offer.label).join(', ')}`
+  });
+}
+
+// Sent once per account until its credentials are updated
+function sendTokenExpiredNotification(account, errorMessage) {
+  account.authError = errorMessage;
+  if (!account.tokenExpired) {
+    account.tokenExpired = true;
+    events.publish('auth', { ...describeAccount(account), error: errorMessage });
+    publishAccountJobs(account);
+  }
+  
+  if (account.tokenExpiredNotificationSent) {
+    return Promise.resolve(false);
+  }
+  
+  account.tokenExpiredNotificationSent = true;
+  
+  const embed = {
+    title: "⚠️ TOKEN EXPIRÉ",
+    color: 0xf44336,
+    description: `Le token Showroomprivé du compte **${account.name}** a expiré. Le monitoring est en pause.`,
+    fields: [
+      { name: "🔧 Action requise", value: "Mettez à jour les headers via l'interface web : le monitoring reprend dès qu'ils sont valides", inline: false },
+      { name: "❌ Erreur", value: `\`${errorMessage}\``, inline: false }
+    ],
+    footer: { text: "Showroomprivé Monitor" },
+    timestamp: new Date().toISOString()
+  };
+
+  logger.warn(`⚠️ Token expired for account ${account.id} - sending notification`, { event: 'token_expired', account: account.id, error: errorMessage });
+  
+  return notify('token_expired', {
+    content: "⚠️ **TOKEN EXPIRÉ - MISE À JOUR REQUISE!**",
+    embed
+  }, account, { summary: `Compte ${account.name}` });
+}
+
+function sendTokenValidNotification(account) {
+  const embed = {
+    title: "✅ TOKEN OK",
+    color: 0x22c55e,
+    description: `Le token Showroomprivé du compte **${account.name}** fonctionne de nouveau. Le monitoring reprend.`,
+    footer: { text: "Showroomprivé Monitor" },
+    timestamp: new Date().toISOString()
+  };
+  
+  return notify('token_expired', {
+    content: "✅ **TOKEN OK - MONITORING RELANCÉ**",
+    embed
+  }, account, { summary: `Compte ${account.name}` });
+}
+
+function sendTokenExpiringNotification(account, expiresAt) {
+  const expiryStr = expiresAt.toLocaleString('fr-FR', {
+    day: '2-digit', month: '2-digit', year: 'numeric',
+    hour: '2-digit', minute: '2-digit'
+  });
+  const hoursLeft = Math.max(0, Math.round((expiresAt - Date.now()) / 3600000));
+  
+  const embed = {
+    title: "⏳ TOKEN BIENTÔT EXPIRÉ",
+    color: 0xff9800,
+    description: `Le token Showroomprivé du compte **${account.name}** expire le **${expiryStr}** (dans ~${hoursLeft}h).`,
+    fields: [
+      { name: "🔧 Action conseillée", value: "Récupérez de nouveaux headers dans l'app et mettez-les à jour via l'interface web", inline: false }
+    ],
+    footer: { text: "Showroomprivé Monitor" },
+    timestamp: new Date().toISOString()
+  };
+  
+  logger.warn(`⏳ Token of account ${account.id} expires at ${expiresAt.toISOString()} - sending warning`, { event: 'token_expiring', account: account.id, expiresAt: expiresAt.toISOString() });
+  
+  return notify('token_expired', {
+    content: "⏳ **TOKEN BIENTÔT EXPIRÉ**",
+    embed
+  }, account, { summary: `Compte ${account.name}` });
+}
+
+// ============== DAILY DIGEST ==============
+// Alerts whose policy has digest set are collected by notify() and sent
+// as one message a day at CONFIG.digestTime (local time), when any.
+
+const DIGEST_EVENT_LABELS = {
+  stock: '🚨 Stock',
+  cart: '🛒 Panier',
+  price: '💸 Prix',
+  low_stock: '📉 Stock faible',
+  token_expired: '⚠️ Token',
+  reservation: '⏰ Réservation',
+  collection: '🆕 Ventes'
+};
+// Keeps the embed under Discord's description limit
+const DIGEST_MAX_LINES = 30;
+
+// Validates the digest time at startup
+const digestSchedule = normalizeSchedule({ windows: [{ start: CONFIG.digestTime, end: CONFIG.digestTime }] });
+
+function formatDigestTime(iso) {
+  return new Date(iso).toLocaleString('fr-FR', {
+    timeZone: CONFIG.scheduleTimeZone,
+    day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
+  });
+}
+
+// Send the collected alerts now; resolves to the delivery log entries
+async function sendDigest() {
+  const { items, dropped } = digest.drain();
+  if (items.length === 0) {
+    logger.debug('Digest skipped: nothing collected', { event: 'digest_empty' });
+    return [];
+  }
+  scheduleSave();
+
+  const counts = {};
+  for (const item of items) {
+    counts[item.event] = (counts[item.event] || 0) + 1;
+  }
+  const lines = items.slice(-DIGEST_MAX_LINES).map(item =>
+    `\`${formatDigestTime(item.at)}\` ${DIGEST_EVENT_LABELS[item.event] || item.event} — ${item.summary}`
+  );
+  const hidden = items.length - lines.length + dropped;
+  if (hidden > 0) {
+    lines.unshift(`… et ${hidden} alerte${hidden > 1 ? 's' : ''} plus ancienne${hidden > 1 ? 's' : ''}`);
+  }
+
+  logger.info(`📋 Sending digest of ${items.length} alert(s)`, { event: 'digest_sent', alerts: items.length });
+  return notify('digest', {
+    content: `📋 **RÉSUMÉ : ${items.length + dropped} ALERTE${items.length + dropped > 1 ? 'S' : ''}**`,
+    embed: {
+      title: "📋 RÉSUMÉ QUOTIDIEN",
+      color: 0x607d8b, // Blue grey
+      description: lines.join('\n'),
+      fields: Object.entries(counts).map(([event, count]) => ({ name: DIGEST_EVENT_LABELS[event] || event, value: String(count), inline: true })),
+      footer: { text: "Showroomprivé Monitor" },
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+function nextDigestAt() {
+  return upcoming(digestSchedule, { timeZone: CONFIG.scheduleTimeZone }).nextWindowAt;
+}
+
+function startDigestTimer() {
+  const next = Date.parse(nextDigestAt());
+  setTimeout(async () => {
+    try {
+      await sendDigest();
+    } catch (error) {
+      logger.error('Failed to send digest', { event: 'digest_failed', error });
+    }
+    startDigestTimer();
+  }, Math.max(1000, next - Date.now()));
+}
+
+// ============== CART ==============
+
+function getProductAccounts(product) {
+  const productAccounts = product.accountIds.map(id => accounts.get(id)).filter(Boolean);
+  return productAccounts.length > 0 ? productAccounts : [getAccount(DEFAULT_ACCOUNT_ID)];
+}
+
+// Accounts to cart into: the primary one, or all of them in priority order in fan-out mode
+function getCartAccounts(product) {
+  const productAccounts = getProductAccounts(product);
+  return product.cartMode === 'fanout' ? productAccounts : productAccounts.slice(0, 1);
+}
+
+// Reservations we made, keyed "accountId:productId:offerId". The cart
+// payload does not always include an expiry, so the deadline is derived
+// from our own add time and CONFIG.cartReservationMinutes.
+const cartReservations = new Map();
+
+// Audit trail of every add-to-cart call, see lib/attempts.js
+const cartAttempts = createAttemptLog({ maxEntries: 500 });
+
+function reservationKey(accountId, productId, offerId) {
+  return `${accountId}:${productId}:${offerId}`;
+}
+
+function trackReservation(account, product, offerId, quantity = 1) {
+  const addedAt = Date.now();
+  const mapping = product.sizeMapping?.[offerId] || {};
+  cartReservations.set(reservationKey(account.id, product.productId, offerId), {
+    accountId: account.id,
+    productId: product.productId,
+    offerId,
+    title: product.productInfo?.title || `Produit ${product.productId}`,
+    size: mapping.size || offerId,
+    quantity,
+    price: mapping.price ?? null,
+    addedAt: new Date(addedAt).toISOString(),
+    expiresAt: new Date(addedAt + CONFIG.cartReservationMinutes * 60 * 1000).toISOString(),
+    reminderSent: false,
+    finalCheckDone: false,
+    reholdCount: 0,
+    cycles: [{ at: new Date(addedAt).toISOString(), action: 'added' }]
+  });
+  scheduleSave();
+}
+
+// Drop lapsed reservations the keeper no longer needs (keeper disabled)
+function pruneReservations() {
+  if (CONFIG.cartReholdMax > 0) return;
+  const now = Date.now();
+  for (const [key, reservation] of cartReservations) {
+    if (Date.parse(reservation.expiresAt) < now) {
+      cartReservations.delete(key);
+    }
+  }
+}
+
+// ============== RESERVATION KEEPER ==============
+// Every reservation gets a reminder CONFIG.cartReminderMinutes before it
+// lapses. With CONFIG.cartReholdMax > 0, a lapsed item still in stock is
+// added back to the cart, up to that many times.
+
+function logReservationCycle(reservation, action, detail = '') {
+  reservation.cycles.push({ at: new Date().toISOString(), action, ...(detail && { detail }) });
+  logger.info(`🛒 Reservation ${reservation.productId}/${reservation.size} (${reservation.accountId}): ${action}${detail ? ` - ${detail}` : ''}`, {
+    event: 'reservation',
+    action,
+    productId: reservation.productId,
+    offerId: reservation.offerId,
+    size: reservation.size,
+    account: reservation.accountId
+  });
+}
+
+// The reservation's line in the account's cart: the cart item, null when
+// it is not there, undefined when the cart can't be read
+async function findCartLine(reservation, account, cartCache) {
+  try {
+    if (!cartCache.has(account.id)) {
+      cartCache.set(account.id, await getCart(account));
+    }
+    const cart = cartCache.get(account.id);
+    return cart.items.find(item => item.productId === reservation.productId && item.offerId === reservation.offerId) || null;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Whether the item is still in the account's cart; null when the cart can't be read
+async function isStillInCart(reservation, account, cartCache) {
+  const line = await findCartLine(reservation, account, cartCache);
+  return line === undefined ? null : !!line;
+}
+
+// Our deadline passed but the line is still in the cart, so the hold is
+// still active upstream: follow the cart's expiry when it gives a later
+// one, otherwise check again after another reservation period
+function extendReservation(reservation, line) {
+  const now = Date.now();
+  const reservedUntil = line.reservedUntil ? Date.parse(line.reservedUntil) : NaN;
+  const known = reservedUntil > now;
+  reservation.expiresAt = new Date(known ? reservedUntil : now + CONFIG.cartReservationMinutes * 60 * 1000).toISOString();
+  // Only a real deadline is worth another reminder
+  if (known) reservation.reminderSent = false;
+  reservation.finalCheckDone = false;
+  logReservationCycle(reservation, 'extended', `still in cart until ${reservation.expiresAt}`);
+}
+
+async function reholdReservation(key, reservation, account) {
+  try {
+    const stockData = await getProductStock(reservation.productId, account);
+    const offer = (stockData.offers || []).find(o => String(o.offerId) === reservation.offerId);
+    if (!offer || offer.available <= 0) {
+      logReservationCycle(reservation, 'expired', 'out of stock');
+      cartReservations.delete(key);
+      return sendReservationNotification('expired', reservation, account);
+    }
+    
+    // The units added back replace the lapsed ones, so only a price rise
+    // costs more against the product's budget
+    const quantity = reservation.quantity || 1;
+    const product = monitoredProducts.get(reservation.productId);
+    const extraSpend = Math.round(((offer.price ?? 0) - (reservation.price ?? offer.price ?? 0)) * quantity * 100) / 100;
+    if (product && product.maxSpend !== null && product.maxSpend !== undefined && (product.spent || 0) + extraSpend > product.maxSpend) {
+      logReservationCycle(reservation, 'expired', `spend limit of ${product.maxSpend}€ reached`);
+      cartReservations.delete(key);
+      return sendReservationNotification('expired', reservation, account);
+    }
+    
+    const cartResult = await attemptCart({
+      productId: reservation.productId,
+      title: reservation.title,
+      offerId: reservation.offerId,
+      size: reservation.size,
+      quantity,
+      price: offer.price,
+      available: offer.available
+    }, account, { trigger: 'rehold' });
+    if (!cartResult.success) {
+      throw new Error(cartResult.message || 'Add to cart failed');
+    }
+    
+    reservation.reholdCount++;
+    reservation.price = offer.price ?? reservation.price;
+    if (product && extraSpend !== 0) {
+      product.spent = Math.round(((product.spent || 0) + extraSpend) * 100) / 100;
+      publishProduct(reservation.productId);
+    }
+    reservation.expiresAt = new Date(Date.now() + CONFIG.cartReservationMinutes * 60 * 1000).toISOString();
+    reservation.reminderSent = false;
+    reservation.finalCheckDone = false;
+    logReservationCycle(reservation, 'reheld', `${reservation.reholdCount}/${CONFIG.cartReholdMax}`);
+    return sendReservationNotification('rehold', reservation, account);
+  } catch (error) {
+    logReservationCycle(reservation, 'expired', `re-hold failed: ${error.message}`);
+    cartReservations.delete(key);
+    if (error instanceof AuthError) {
+      await sendTokenExpiredNotification(account, error.message);
+    }
+    return sendReservationNotification('expired', reservation, account);
+  }
+}
+
+async function checkReservations() {
+  const now = Date.now();
+  const cartCache = new Map();
+  const reminderMs = CONFIG.cartReminderMinutes * 60 * 1000;
+  
+  for (const [key, reservation] of cartReservations) {
+    const account = accounts.get(reservation.accountId);
+    if (!account) {
+      cartReservations.delete(key);
+      continue;
+    }
+    const expiresAt = Date.parse(reservation.expiresAt);
+    
+    // Reminder, unless the item was already checked out or removed
+    if (reminderMs > 0 && !reservation.reminderSent && now >= expiresAt - reminderMs && now < expiresAt) {
+      reservation.reminderSent = true;
+      if (await isStillInCart(reservation, account, cartCache) === false) {
+        logReservationCycle(reservation, 'released', 'no longer in cart');
+        cartReservations.delete(key);
+        continue;
+      }
+      logReservationCycle(reservation, 'reminder');
+      await sendReservationNotification('reminder', reservation, account);
+    }
+    
+    // Last look just before the deadline so a checkout isn't followed by a re-hold
+    if (CONFIG.cartReholdMax > 0 && !reservation.finalCheckDone && now >= expiresAt - 2 * CONFIG.reservationCheckMs && now < expiresAt) {
+      reservation.finalCheckDone = true;
+      if (await isStillInCart(reservation, account, cartCache) === false) {
+        logReservationCycle(reservation, 'released', 'no longer in cart');
+        cartReservations.delete(key);
+        continue;
+      }
+    }
+    
+    if (now < expiresAt) continue;
+    
+    if (CONFIG.cartReholdMax > 0 && reservation.reholdCount < CONFIG.cartReholdMax) {
+      // Adding to the cart adds units: only re-hold a line that has left it.
+      // An unreadable cart is tried again at the next pass.
+      const line = await findCartLine(reservation, account, cartCache);
+      if (line === undefined) continue;
+      if (line) {
+        extendReservation(reservation, line);
+        continue;
+      }
+      await reholdReservation(key, reservation, account);
+    } else if (CONFIG.cartReholdMax > 0) {
+      logReservationCycle(reservation, 'expired', 're-hold limit reached');
+      cartReservations.delete(key);
+      await sendReservationNotification('expired', reservation, account);
+    } else {
+      cartReservations.delete(key);
+    }
+  }
+  
+  scheduleSave();
+}
+
+let reservationCheckRunning = false;
+
+function startReservationKeeper() {
+  setInterval(async () => {
+    if (reservationCheckRunning || cartReservations.size === 0) return;
+    reservationCheckRunning = true;
+    try {
+      await checkReservations();
+    } catch (error) {
+      logger.error('Reservation keeper error', { event: 'reservation', error });
+    } finally {
+      reservationCheckRunning = false;
+    }
+  }, CONFIG.reservationCheckMs);
+}
+
+// Add to cart and record the attempt in the audit trail (GET /api/cart/attempts).
+// item: { productId, title, offerId, size, quantity, price, available }.
+// detection: { trigger, detectedAt, previousCheckAt } where trigger is
+// restock, price (target price reached), watch (in stock when added),
+// launch, rehold, discord (retry button) or test, and the times are when
+// the stock response showing the item arrived and when the previous,
+// still out-of-stock (or too expensive), check ran (ms).
+// Upstream errors are rethrown.
+async function attemptCart(item, account, { trigger, detectedAt = null, previousCheckAt = null } = {}) {
+  const startedAt = Date.now();
+  let result = null;
+  let failure = null;
+  try {
+    result = await addToCart(item.productId, item.offerId, account, item.quantity);
+  } catch (error) {
+    failure = error;
+  }
+  const finishedAt = Date.now();
+  const success = !failure && result.success;
+
+  const attempt = cartAttempts.record({
+    at: new Date(startedAt).toISOString(),
+    productId: String(item.productId),
+    title: item.title || `Produit ${item.productId}`,
+    offerId: String(item.offerId),
+    size: item.size || String(item.offerId),
+    accountId: account.id,
+    trigger,
+    quantity: item.quantity,
+    price: item.price ?? null,
+    available: item.available ?? null,
+    success,
+    message: failure ? failure.message : success ? null : result.message || 'Add to cart failed',
+    request: { method: 'POST', path: CART_PATH, body: addToCartBody(item.productId, item.offerId, item.quantity) },
+    response: result?.response ?? null,
+    error: failure ? { type: failure.name, statusCode: failure.statusCode ?? null, message: failure.message } : null,
+    detectedAt: detectedAt ? new Date(detectedAt).toISOString() : null,
+    latencyMs: finishedAt - startedAt,
+    detectionToCartMs: detectedAt ? finishedAt - detectedAt : null,
+    sinceLastCheckMs: detectedAt && previousCheckAt ? detectedAt - previousCheckAt : null
+  });
+  scheduleSave();
+
+  metrics.cartAttempts.inc({ account: account.id, trigger, result: success ? 'success' : 'failure' });
+  if (attempt.detectionToCartMs !== null) {
+    metrics.detectionToCart.observe({ result: success ? 'success' : 'failure' }, attempt.detectionToCartMs / 1000);
+  }
+  events.publish('cart', {
+    attemptId: attempt.id,
+    productId: attempt.productId,
+    title: attempt.title,
+    offerId: attempt.offerId,
+    size: attempt.size,
+    accountId: account.id,
+    quantity: attempt.quantity,
+    trigger,
+    success,
+    message: attempt.message,
+    latencyMs: attempt.latencyMs,
+    detectionToCartMs: attempt.detectionToCartMs
+  });
+
+  if (failure) throw failure;
+  return { ...result, attempt };
+}
+
+// Units to cart in one attempt: the desired quantity, capped by the
+// available stock and by what is left of the product's spend limit
+function cartQuantity(product, offerData) {
+  let quantity = Math.min(product.quantity || 1, offerData.available);
+  if (product.maxSpend !== null && product.maxSpend !== undefined && offerData.price > 0) {
+    const remaining = product.maxSpend - (product.spent || 0);
+    quantity = Math.min(quantity, Math.floor(remaining / offerData.price + 1e-9));
+  }
+  return Math.max(0, quantity);
+}
+
+// Try to add the offer to each cart account in order; never throws.
+// Spend is counted per successful account so fan-out respects maxSpend.
+async function addToCartForAccounts(product, offerId, offerData, detection) {
+  const results = [];
+  for (const account of getCartAccounts(product)) {
+    const cartFields = { productId: product.productId, offerId, size: offerData.label, account: account.id };
+    if (isAccountPaused(account)) {
+      results.push({ account, success: false, skipped: 'auth', quantity: 0 });
+      logger.warn(`⏭️ Not carting ${offerId} (${account.id}): token expired`, { event: 'cart_skipped', reason: 'auth', ...cartFields });
+      continue;
+    }
+    const quantity = cartQuantity(product, offerData);
+    if (quantity === 0) {
+      results.push({ account, success: false, skipped: 'budget', quantity: 0 });
+      logger.info(`⏭️ Not carting ${offerId} (${account.id}): spend limit of ${product.maxSpend}€ reached`, { event: 'cart_skipped', reason: 'budget', maxSpend: product.maxSpend, spent: product.spent, ...cartFields });
+      continue;
+    }
+    
+    try {
+      const cartResult = await attemptCart({
+        productId: product.productId,
+        title: product.productInfo?.title,
+        offerId,
+        size: product.sizeMapping?.[offerId]?.size || offerData.label,
+        quantity,
+        price: offerData.price,
+        available: offerData.available
+      }, account, detection);
+      results.push({ account, success: cartResult.success, message: cartResult.message, quantity });
+      if (cartResult.success) {
+        product.spent = Math.round(((product.spent || 0) + (offerData.price || 0) * quantity) * 100) / 100;
+        trackReservation(account, product, offerId, quantity);
+        logger.info(`✅ Added ${quantity} to cart (${account.id})!`, {
+          event: 'cart_added',
+          quantity,
+          price: offerData.price,
+          latencyMs: cartResult.attempt.latencyMs,
+          detectionToCartMs: cartResult.attempt.detectionToCartMs,
+          ...cartFields
+        });
+      } else {
+        logger.error(`Failed to add to cart (${account.id})`, { event: 'cart_failed', quantity, error: cartResult.message || 'Add to cart failed', ...cartFields });
+      }
+    } catch (cartError) {
+      results.push({ account, success: false, message: cartError.message, quantity });
+      logger.error(`Failed to add to cart (${account.id})`, { event: 'cart_failed', quantity, error: cartError, ...cartFields });
+      if (cartError instanceof AuthError) {
+        await sendTokenExpiredNotification(account, cartError.message);
+      }
+    }
+  }
+  return results;
+}
+
+// With a size priority list, the first size carted fulfils the watch
+function isPriorityFulfilled(product) {
+  return Array.isArray(product.sizePriority) && !!product.fulfilledAt;
+}
+
+function markFulfilledIfCarted(product, cartResults) {
+  if (Array.isArray(product.sizePriority) && cartResults.some(result => result.success)) {
+    product.fulfilledAt = new Date().toISOString();
+  }
+}
+
+// Watched sizes back in stock during one check: cart them (in priority
+// order, stopping after the first success when the watch has a size
+// priority list), then send each account owner one combined notification.
+// Sizes back within the stock policy's repeat interval are left out of it
+// unless they were carted. detection is passed through to attemptCart.
+async function handleRestocks(product, restocks, detection) {
+  const priority = product.sizePriority || [];
+  const rank = offerId => (priority.includes(offerId) ? priority.indexOf(offerId) : priority.length);
+  const ordered = [...restocks].sort((a, b) => rank(a.offerId) - rank(b.offerId));
+  
+  const accountsToNotify = getCartAccounts(product);
+  const outcomes = new Map(accountsToNotify.map(account => [account.id, []]));
+  
+  for (const { offerId, offerData } of ordered) {
+    product.notified.add(offerId);
+    const base = { offerId, size: offerData.label || '?', available: offerData.available, price: offerData.price };
+    
+    if (isPriorityFulfilled(product)) {
+      logger.info(`⏭️ Not carting ${offerId}: a preferred size was already carted`, {
+        event: 'cart_skipped',
+        reason: 'priority',
+        productId: product.productId,
+        offerId,
+        size: base.size
+      });
+      for (const list of outcomes.values()) {
+        list.push({ ...base, status: 'skipped', reason: 'priority' });
+      }
+      continue;
+    }
+    
+    const cartResults = await addToCartForAccounts(product, offerId, offerData, detection);
+    for (const result of cartResults) {
+      outcomes.get(result.account.id)?.push({
+        ...base,
+        quantity: result.quantity,
+        status: result.success ? 'carted' : (result.skipped ? 'skipped' : 'failed'),
+        reason: result.skipped || null,
+        message: result.message || null
+      });
+    }
+    markFulfilledIfCarted(product, cartResults);
+  }
+  
+  const policy = notificationPolicyFor('stock', product);
+  const repeats = new Set(ordered.map(({ offerId }) => offerId).filter(offerId => isRepeatAlert(product, `stock:${offerId}`, policy)));
+  for (const account of accountsToNotify) {
+    const alerted = outcomes.get(account.id).filter(outcome => outcome.status === 'carted' || !repeats.has(outcome.offerId));
+    if (alerted.length === 0) continue;
+    for (const outcome of alerted) {
+      recordAlert(product, `stock:${outcome.offerId}`);
+    }
+    await sendRestockNotification(product, alerted, account);
+  }
+  if (repeats.size > 0) {
+    logger.info(`🔕 Repeat restock alert skipped for ${Array.from(repeats).join(', ')}`, {
+      event: 'notification_repeat',
+      productId: product.productId,
+      offerId: Array.from(repeats).join(','),
+      repeatIntervalMinutes: policy.repeatIntervalMinutes
+    });
+  }
+}
+
+// Watched size still in stock that dropped to the low-stock threshold
+async function checkLowStock(product, offerId, previousAvailable, offerData) {
+  const policy = notificationPolicyFor('low_stock', product);
+  const threshold = policy.lowStockThreshold;
+  if (threshold === null || previousAvailable <= threshold || offerData.available > threshold) {
+    return;
+  }
+  const size = offerData.label || '?';
+  if (isRepeatAlert(product, `low_stock:${offerId}`, policy)) {
+    logger.debug(`Repeat low stock alert skipped for ${size} (${offerId})`, { event: 'notification_repeat', productId: product.productId, offerId });
+    return;
+  }
+  logger.info(`📉 LOW STOCK: ${size} (${offerId}) ${previousAvailable} → ${offerData.available}`, { event: 'low_stock', productId: product.productId, offerId, size, available: offerData.available });
+  recordAlert(product, `low_stock:${offerId}`);
+  for (const account of getCartAccounts(product)) {
+    await sendLowStockNotification(product, offerId, offerData, account);
+  }
+}
+
+// ============== PRICE RULES ==============
+
+// Normalize a { maxPrice, notifyOnPriceDrop } rule from API input
+function normalizePriceRule(rule = {}) {
+  const maxPrice = rule.maxPrice === undefined || rule.maxPrice === null || rule.maxPrice === ''
+    ? null
+    : Number(rule.maxPrice);
+  if (maxPrice !== null && (!Number.isFinite(maxPrice) || maxPrice <= 0)) {
+    throw new Error('maxPrice must be a positive number');
+  }
+  return { maxPrice, notifyOnPriceDrop: !!rule.notifyOnPriceDrop };
+}
+
+// Build per-offer rules from product-level defaults and per-offer overrides
+function buildPriceRules(watchedSizes, defaults, overrides = {}) {
+  const rules = {};
+  for (const offerId of watchedSizes) {
+    const rule = normalizePriceRule({ ...defaults, ...(overrides[offerId] || {}) });
+    if (rule.maxPrice !== null || rule.notifyOnPriceDrop) {
+      rules[offerId] = rule;
+    }
+  }
+  return rules;
+}
+
+// Validate { sizePriority, quantity, maxSpend } from API input.
+// sizePriority is an ordered list of offer ids, or true to use the
+// order of watchedSizes; null keeps every watched size independent.
+function normalizeCartRules({ sizePriority, quantity, maxSpend }, watchedSizes) {
+  let priority = null;
+  if (sizePriority === true) {
+    priority = [...watchedSizes];
+  } else if (Array.isArray(sizePriority) && sizePriority.length > 0) {
+    priority = sizePriority.map(String);
+    const unknown = priority.filter(offerId => !watchedSizes.includes(offerId));
+    if (unknown.length > 0) {
+      throw new Error(`sizePriority entries must be watched sizes: ${unknown.join(', ')}`);
+    }
+  }
+  
+  const desiredQuantity = quantity === undefined || quantity === null || quantity === '' ? 1 : Number(quantity);
+  if (!Number.isInteger(desiredQuantity) || desiredQuantity < 1 || desiredQuantity > CONFIG.maxCartQuantity) {
+    throw new Error(`quantity must be an integer between 1 and ${CONFIG.maxCartQuantity}`);
+  }
+  
+  const spendLimit = maxSpend === undefined || maxSpend === null || maxSpend === '' ? null : Number(maxSpend);
+  if (spendLimit !== null && (!Number.isFinite(spendLimit) || spendLimit <= 0)) {
+    throw new Error('maxSpend must be a positive number');
+  }
+  
+  return { sizePriority: priority, quantity: desiredQuantity, maxSpend: spendLimit };
+}
+
+function isPriceConditionMet(rule, price) {
+  if (!rule || rule.maxPrice === null || rule.maxPrice === undefined) {
+    return true;
+  }
+  return typeof price === 'number' && price <= rule.maxPrice;
+}
+
+// Price alert for a watched size that stayed in stock between two polls.
+// Auto-add to cart only when the price crosses below the target price.
+// detection is passed through to attemptCart when the target price is reached
+async function checkPriceChange(product, offerId, oldPrice, offerData, detection) {
+  const rule = product.priceRules[offerId];
+  const newPrice = offerData.price;
+  if (!rule || typeof oldPrice !== 'number' || typeof newPrice !== 'number' || newPrice >= oldPrice) {
+    return;
+  }
+  
+  const reachedTarget = rule.maxPrice !== null && newPrice <= rule.maxPrice && oldPrice > rule.maxPrice;
+  if (!rule.notifyOnPriceDrop && !reachedTarget) {
+    return;
+  }
+  
+  const size = offerData.label || '?';
+  logger.info(`💸 PRICE DROP: ${size} (${offerId}) ${oldPrice}€ → ${newPrice}€`, { event: 'price_drop', productId: product.productId, offerId, size, oldPrice, newPrice });
+  
+  let cartResults = [];
+  if (reachedTarget && !product.notified.has(offerId) && !isPriorityFulfilled(product)) {
+    cartResults = await addToCartForAccounts(product, offerId, offerData, detection);
+    markFulfilledIfCarted(product, cartResults);
+    product.notified.add(offerId);
+  }
+  
+  const productUrl = `https://www.showroomprive.com/link/product/${product.productId}`;
+  for (const account of getCartAccounts(product)) {
+    await sendPriceNotification(
+      product.productInfo,
+      offerId,
+      size,
+      offerData.available,
+      oldPrice,
+      newPrice,
+      productUrl,
+      {
+        maxPrice: rule.maxPrice,
+        addedToCart: cartResults.some(result => result.account === account && result.success),
+        account,
+        product
+      }
+    );
+  }
+}
+
+// Check one product; errors propagate to the scheduler for backoff
+async function monitorProduct(key) {
+  const product = monitoredProducts.get(key);
+  if (!product) return;
+  if (product.pending) {
+    return checkLaunch(key, product);
+  }
+  
+  const stockData = await getProductStock(product.productId, getProductAccounts(product)[0]);
+  const detectedAt = Date.now();
+  // Still the previous run while this one is in progress
+  const lastCheckAt = scheduler.getStatus(key)?.lastCheckAt;
+  const previousCheckAt = lastCheckAt ? Date.parse(lastCheckAt) : null;
+  
+  logger.debug(`Checked product ${product.productId}`, { event: 'poll', productId: product.productId });
+  
+  // Build current stock from offers
+  const currentStock = {};
+  if (stockData.offers) {
+    stockData.offers.forEach(offer => {
+      currentStock[offer.offerId] = {
+        available: offer.available,
+        label: offer.label,
+        price: offer.price
+      };
+    });
+  }
+  
+  const restocks = [];
+  for (const [offerId, offerData] of Object.entries(currentStock)) {
+    const prevStock = product.previousStock[offerId];
+    const wasOutOfStock = !prevStock || prevStock.available === 0;
+    const nowInStock = offerData.available > 0;
+    const size = offerData.label || '?';
+    const priceRule = product.priceRules[offerId];
+    const priceOk = isPriceConditionMet(priceRule, offerData.price);
+    
+    if (product.watchedSizes.has(offerId) && wasOutOfStock && nowInStock && !priceOk) {
+      logger.info(`⏭️ Restock ${size} (${offerId}) ignored: ${offerData.price}€ above target ${priceRule.maxPrice}€`, {
+        event: 'restock_ignored',
+        reason: 'price',
+        productId: product.productId,
+        offerId,
+        size,
+        price: offerData.price,
+        maxPrice: priceRule.maxPrice
+      });
+    }
+    
+    // Check if this size is being watched and stock became available at an acceptable price
+    if (product.watchedSizes.has(offerId) && wasOutOfStock && nowInStock && priceOk) {
+      if (!product.notified.has(offerId)) {
+        logger.info(`🚨 NEW STOCK: ${size} (${offerId}) - ${offerData.available} units!`, { event: 'restock', productId: product.productId, offerId, size, available: offerData.available, price: offerData.price });
+        restocks.push({ offerId, offerData });
+      }
+    }
+    
+    // Price and low-stock alerts for sizes that stayed in stock
+    if (product.watchedSizes.has(offerId) && !wasOutOfStock && nowInStock) {
+      await checkPriceChange(product, offerId, prevStock.price, offerData, { trigger: 'price', detectedAt, previousCheckAt });
+      await checkLowStock(product, offerId, prevStock.available, offerData);
+    }
+    
+    // Reset if item goes out of stock
+    if (product.notified.has(offerId) && !nowInStock) {
+      product.notified.delete(offerId);
+    }
+  }
+  
+  if (restocks.length > 0) {
+    metrics.restocks.inc({ product_id: product.productId }, restocks.length);
+    await handleRestocks(product, restocks, { trigger: 'restock', detectedAt, previousCheckAt });
+  }
+  
+  // Record changes in the timeline before overwriting previous stock.
+  // A check that changed nothing is not saved: the state file holds every
+  // timeline and would otherwise be rewritten on each poll.
+  let changed = false;
+  for (const [offerId, offerData] of Object.entries(currentStock)) {
+    if (recordSample(product.timeline, offerId, offerData.available, offerData.price)) {
+      changed = true;
+      const prevStock = product.previousStock[offerId];
+      const watched = product.watchedSizes.has(offerId);
+      events.publish('stock', {
+        key,
+        productId: product.productId,
+        title: product.productInfo?.title || `Produit ${product.productId}`,
+        offerId,
+        size: offerData.label || '?',
+        watched,
+        available: offerData.available,
+        previousAvailable: prevStock ? prevStock.available : null,
+        price: offerData.price,
+        previousPrice: prevStock ? prevStock.price : null,
+        restock: watched && (!prevStock || prevStock.available === 0) && offerData.available > 0
+      });
+    }
+  }
+  
+  // Update previous stock
+  if (Object.keys(product.previousStock).length !== Object.keys(currentStock).length) {
+    changed = true;
+  }
+  product.previousStock = currentStock;
+  
+  // Update size mapping
+  if (stockData.offers) {
+    stockData.offers.forEach(offer => {
+      const mapping = product.sizeMapping[offer.offerId];
+      if (!mapping || mapping.size !== offer.label || mapping.price !== offer.price) {
+        changed = true;
+      }
+      product.sizeMapping[offer.offerId] = {
+        size: offer.label,
+        price: offer.price
+      };
+    });
+  }
+  
+  // Product details are refreshed in the background, off the stock check path
+  if (metadataCache.needsRefresh(product.productId)) {
+    refreshProductInfo(key);
+  }
+  
+  if (changed) {
+    scheduleSave();
+  }
+}
+
+async function handleMonitorError(key, error, consecutiveErrors) {
+  // The scheduler already waits for the cooldown before the next check
+  if (error instanceof RateLimitError) {
+    logger.warn(`⏳ ${key} not checked: ${error.message}`, { event: 'poll_rate_limited', productId: key, retryAfterMs: error.retryAfterMs });
+    return;
+  }
+  logger.error(`Error monitoring ${key} (${consecutiveErrors} in a row)`, { event: 'poll_error', productId: key, consecutiveErrors, error });
+  
+  const product = monitoredProducts.get(key);
+  if (product && error instanceof AuthError) {
+    await sendTokenExpiredNotification(getProductAccounts(product)[0], error.message);
+  }
+}
+
+// API view of a monitored product, shared by GET /api/products and live events
+function describeProduct(key, product) {
+  return {
+    key,
+    productId: product.productId,
+    productInfo: product.productInfo,
+    sizeMapping: product.sizeMapping,
+    watchedSizes: Array.from(product.watchedSizes),
+    currentStock: product.previousStock,
+    notified: Array.from(product.notified),
+    priceRules: product.priceRules,
+    accountIds: product.accountIds,
+    cartMode: product.cartMode,
+    sizePriority: product.sizePriority,
+    quantity: product.quantity,
+    maxSpend: product.maxSpend,
+    spent: product.spent,
+    fulfilledAt: product.fulfilledAt,
+    paused: product.paused,
+    pending: product.pending && {
+      sizes: product.pending.entry.watchedSizes || [],
+      since: product.pending.since,
+      lastError: product.pending.lastError
+    },
+    watchSchedule: product.watchSchedule,
+    watch: describeWatch(productSchedule(product), productPauseReason(product)),
+    notificationPolicy: product.notificationPolicy,
+    schedule: scheduler.getStatus(key)
+  };
+}
+
+function publishProduct(key) {
+  const product = monitoredProducts.get(key);
+  if (product) {
+    events.publish('product', describeProduct(key, product));
+  }
+}
+
+// ============== WATCH SCHEDULES AND PAUSES ==============
+// Products are checked according to their own watch schedule, or the
+// global one when they have none (see lib/schedule.js): outside its
+// windows a product waits, and around a drop time it is checked at the
+// burst interval. Products can also be paused one by one or all at once;
+// a paused job stays scheduled and is checked as soon as it resumes.
+
+// Validates the time zone at startup
+normalizeSchedule({ timeZone: CONFIG.scheduleTimeZone });
+
+const monitoringControl = {
+  paused: false,
+  pausedAt: null,
+  watchSchedule: null
+};
+
+function productSchedule(product) {
+  return product.watchSchedule || monitoringControl.watchSchedule;
+}
+
+function scheduleState(schedule) {
+  return evaluateSchedule(schedule, { timeZone: CONFIG.scheduleTimeZone });
+}
+
+// Why a product is not being checked right now: global, product, auth, schedule or null
+function productPauseReason(product) {
+  if (monitoringControl.paused) return 'global';
+  if (product.paused) return 'product';
+  if (isAccountPaused(getProductAccounts(product)[0])) return 'auth';
+  return scheduleState(productSchedule(product)).active ? null : 'schedule';
+}
+
+// Current phase and upcoming changes, for the API and the web UI
+function describeWatch(schedule, pausedReason = null) {
+  const state = scheduleState(schedule);
+  return {
+    phase: state.phase,
+    pausedReason,
+    dropAt: state.dropAt,
+    burstEndsAt: state.burstEndsAt,
+    ...upcoming(schedule, { timeZone: CONFIG.scheduleTimeZone })
+  };
+}
+
+// A burst never slows a product down; a window interval replaces the product's
+function getProductIntervalMs(key) {
+  const product = monitoredProducts.get(key);
+  const ownMs = product?.checkIntervalMs || CONFIG.checkIntervalMs;
+  if (!product) return ownMs;
+  const state = scheduleState(productSchedule(product));
+  if (state.phase === 'burst') return Math.min(state.intervalMs, ownMs);
+  return state.intervalMs || ownMs;
+}
+
+function parseWatchSchedule(watchSchedule) {
+  return normalizeSchedule(watchSchedule, { minIntervalSeconds: CONFIG.minCheckIntervalMs / 1000 });
+}
+
+function describeMonitoring() {
+  return {
+    running: scheduler.isRunning(),
+    paused: monitoringControl.paused,
+    pausedAt: monitoringControl.pausedAt,
+    timeZone: CONFIG.scheduleTimeZone,
+    watchSchedule: monitoringControl.watchSchedule,
+    watch: describeWatch(monitoringControl.watchSchedule, monitoringControl.paused ? 'global' : null)
+  };
+}
+
+function publishMonitoring() {
+  events.publish('monitoring', describeMonitoring());
+  for (const key of monitoredProducts.keys()) {
+    publishProduct(key);
+  }
+}
+
+function setMonitoringPaused(paused) {
+  if (monitoringControl.paused === paused) return false;
+  monitoringControl.paused = paused;
+  monitoringControl.pausedAt = paused ? new Date().toISOString() : null;
+  logger.info(paused ? '⏸️ Monitoring paused' : '▶️ Monitoring resumed', { event: paused ? 'monitoring_paused' : 'monitoring_resumed' });
+  scheduleSave();
+  publishMonitoring();
+  return true;
+}
+
+// Windows and bursts start and end without any check running, so phase
+// changes are looked for here to keep the web UI and the log current
+const lastPhases = new Map();
+let lastGlobalPhase = null;
+
+function startPhaseWatcher() {
+  setInterval(() => {
+    for (const [key, product] of monitoredProducts) {
+      const phase = `${scheduleState(productSchedule(product)).phase}:${productPauseReason(product)}`;
+      if (lastPhases.has(key) && lastPhases.get(key) !== phase) {
+        logger.debug(`Watch phase of ${key}: ${phase}`, { event: 'watch_phase', productId: product.productId, phase });
+        publishProduct(key);
+      }
+      lastPhases.set(key, phase);
+    }
+    for (const key of lastPhases.keys()) {
+      if (!monitoredProducts.has(key)) lastPhases.delete(key);
+    }
+    const globalPhase = `${scheduleState(monitoringControl.watchSchedule).phase}:${monitoringControl.paused}`;
+    if (lastGlobalPhase !== null && lastGlobalPhase !== globalPhase) {
+      events.publish('monitoring', describeMonitoring());
+    }
+    lastGlobalPhase = globalPhase;
+  }, CONFIG.phaseCheckMs);
+}
+
+function setProductPaused(key, paused) {
+  const product = monitoredProducts.get(key);
+  if (product.paused === paused) return false;
+  product.paused = paused;
+  logger.info(`${paused ? '⏸️ Paused' : '▶️ Resumed'} ${key}`, { event: paused ? 'product_paused' : 'product_resumed', productId: product.productId });
+  scheduleSave();
+  publishProduct(key);
+  return true;
+}
+
+// ============== PRE-LAUNCH WATCHES ==============
+// A product added with waitForLaunch before its sale opens has no stock
+// to read yet. It is kept as a pending watch (the add request, sizes as
+// labels or offer ids) and polled like any product; once its stock can
+// be read the watch is set up from that request, carting sizes that are
+// already available (trigger "launch").
+
+// Answers for a product that is not on sale yet: a 404, or an API error
+// status without an HTTP or transport error
+function isNotLiveError(error) {
+  if (error instanceof NotFoundError) return true;
+  return error instanceof UpstreamError
+    && !(error instanceof AuthError)
+    && !(error instanceof RateLimitError)
+    && error.statusCode === null
+    && error.code === null;
+}
+
+async function watchPendingProduct(productId, entry, { accountIds, checkIntervalMs, cartMode, watchSchedule, notificationPolicy }) {
+  const product = {
+    productId,
+    productInfo: await loadProductInfo(productId, getAccount(accountIds[0])),
+    sizeMapping: {},
+    watchedSizes: new Set(),
+    previousStock: {},
+    notified: new Set(),
+    timeline: monitoredProducts.get(productId)?.timeline || {},
+    priceRules: {},
+    checkIntervalMs,
+    accountIds,
+    cartMode,
+    sizePriority: null,
+    quantity: 1,
+    maxSpend: null,
+    spent: 0,
+    fulfilledAt: null,
+    watchSchedule,
+    notificationPolicy,
+    lastAlerts: monitoredProducts.get(productId)?.lastAlerts || {},
+    paused: false,
+    pending: { entry, since: new Date().toISOString(), lastError: null }
+  };
+  monitoredProducts.set(productId, product);
+  scheduler.add(productId, { immediate: false });
+  scheduleSave();
+  startMonitoring();
+  publishProduct(productId);
+  
+  logger.info(`🕒 Waiting for product ${productId} to go live`, { event: 'launch_pending', productId, sizes: (entry.watchedSizes || []).join(', ') });
+  return { productId, watchedSizes: entry.watchedSizes || [], alreadyInStock: [], pending: true };
+}
+
+async function checkLaunch(key, product) {
+  let stockData;
+  try {
+    stockData = await getProductStock(product.productId, getProductAccounts(product)[0]);
+  } catch (error) {
+    if (!isNotLiveError(error)) throw error;
+    logger.debug(`Product ${product.productId} not live yet`, { event: 'poll', productId: product.productId, reason: error.message });
+    return;
+  }
+  if (!stockData.offers || stockData.offers.length === 0) return;
+  
+  const lastCheckAt = scheduler.getStatus(key)?.lastCheckAt;
+  try {
+    const result = await watchEntry({ ...product.pending.entry, productId: product.productId, waitForLaunch: false }, {
+      stockData,
+      detection: { trigger: 'launch', detectedAt: Date.now(), previousCheckAt: lastCheckAt ? Date.parse(lastCheckAt) : null }
+    });
+    logger.info(`🚀 Product ${product.productId} is live, watching ${result.watchedSizes.join(', ')}`, { event: 'launch_live', productId: product.productId });
+  } catch (error) {
+    if (error instanceof UpstreamError) throw error;
+    // Sizes that do not exist (yet): keep waiting, warn once per reason
+    if (product.pending.lastError !== error.message) {
+      logger.warn(`Product ${product.productId} is live but cannot be watched`, { event: 'launch_failed', productId: product.productId, error });
+      product.pending.lastError = error.message;
+      scheduleSave();
+    }
+  }
+}
+
+const scheduler = createScheduler({
+  run: monitorProduct,
+  onError: handleMonitorError,
+  onSettled: publishProduct,
+  onRun: (key, run) => recordCheck('product', key, run),
+  logger,
+  isPaused: (key) => {
+    const product = monitoredProducts.get(key);
+    return !!product && productPauseReason(product) !== null;
+  },
+  getIntervalMs: getProductIntervalMs,
+  concurrency: CONFIG.maxConcurrency,
+  jitterRatio: CONFIG.jitterRatio,
+  maxBackoffMs: CONFIG.maxBackoffMs
+});
+
+function startMonitoring() {
+  if (scheduler.isRunning()) {
+    return;
+  }
+  
+  logger.info(`🚀 Starting monitoring (default interval: ${CONFIG.checkIntervalMs / 1000}s, concurrency: ${CONFIG.maxConcurrency})`, { event: 'monitoring_started' });
+  scheduler.start();
+}
+
+function stopMonitoring() {
+  if (scheduler.stop()) {
+    logger.info('⏹️ Monitoring stopped', { event: 'monitoring_stopped' });
+  }
+}
+
+// Start watching a product (or replace its watch): reads stock and details,
+// carts watched sizes already in stock and schedules checks.
+// Shared by POST /api/products/add and collection promotion.
+async function watchProduct({
+  productId,
+  watchedSizes,
+  priceRules,
+  checkIntervalMs = null,
+  accountIds,
+  cartMode = 'single',
+  sizePriority = null,
+  quantity = 1,
+  maxSpend = null,
+  watchSchedule = null,
+  notificationPolicy = null,
+  stockData = null,
+  detection = {}
+}) {
+  stockData = stockData || await getProductStock(productId, getAccount(accountIds[0]));
+  const detectedAt = Date.now();
+  
+  const sizeMapping = {};
+  const stockInfo = {};
+  
+  if (stockData.offers) {
+    stockData.offers.forEach(offer => {
+      sizeMapping[offer.offerId] = {
+        size: offer.label,
+        price: offer.price
+      };
+      stockInfo[offer.offerId] = {
+        available: offer.available,
+        label: offer.label,
+        price: offer.price
+      };
+    });
+  }
+  
+  // Cached details only for now: fetching them would delay the cart attempt
+  const productInfo = buildProductInfo(productId, metadataCache.peek(productId), stockData.label);
+  
+  // Keep the existing timeline and alert times when a product is re-added
+  const timeline = monitoredProducts.get(productId)?.timeline || {};
+  const lastAlerts = monitoredProducts.get(productId)?.lastAlerts || {};
+  for (const [offerId, stock] of Object.entries(stockInfo)) {
+    recordSample(timeline, offerId, stock.available, stock.price);
+  }
+  
+  const product = {
+    productId,
+    productInfo,
+    sizeMapping,
+    watchedSizes: new Set(watchedSizes),
+    previousStock: stockInfo,
+    notified: new Set(),
+    timeline,
+    priceRules,
+    checkIntervalMs,
+    accountIds,
+    cartMode,
+    sizePriority,
+    quantity,
+    maxSpend,
+    spent: 0,
+    fulfilledAt: null,
+    watchSchedule,
+    notificationPolicy,
+    lastAlerts,
+    paused: false,
+    pending: null
+  };
+  monitoredProducts.set(productId, product);
+  
+  // Check if any watched size is already in stock
+  const alreadyInStock = [];
+  const restocks = [];
+  for (const offerId of watchedSizes) {
+    const stock = stockInfo[offerId];
+    if (stock && stock.available > 0) {
+      alreadyInStock.push(sizeMapping[offerId]?.size || offerId);
+      
+      // Above target price: keep watching for a markdown instead
+      if (!isPriceConditionMet(priceRules[offerId], stock.price)) {
+        continue;
+      }
+      restocks.push({ offerId, offerData: stock });
+    }
+  }
+  
+  // Try to add to cart immediately
+  if (restocks.length > 0) {
+    await handleRestocks(product, restocks, { trigger: 'watch', detectedAt, ...detection });
+  }
+  
+  product.productInfo = await loadProductInfo(productId, getAccount(accountIds[0]), stockData.label);
+  
+  scheduler.add(productId, { immediate: false });
+  
+  // Save to history
+  addToHistory(productId, product.productInfo, sizeMapping);
+  scheduleSave();
+
+  startMonitoring();
+  publishProduct(productId);
+  
+  return {
+    product,
+    watchedSizes: watchedSizes.map(id => sizeMapping[id]?.size || id),
+    alreadyInStock
+  };
+}
+
+// Stop monitoring a product; false when it is not monitored
+function unwatchProduct(key) {
+  if (!monitoredProducts.has(key)) return false;
+  monitoredProducts.delete(key);
+  scheduler.remove(key);
+  metrics.productPolls.remove({ product_id: key });
+  metrics.restocks.remove({ product_id: key });
+  scheduleSave();
+  events.publish('product_removed', { key });
+  
+  if (monitoredProducts.size === 0) {
+    stopMonitoring();
+  }
+  return true;
+}
+
+// Stop watching one size (and its rules); the product is removed with its last size
+function unwatchSize(key, offerId) {
+  const product = monitoredProducts.get(key);
+  product.watchedSizes.delete(offerId);
+  if (product.watchedSizes.size === 0) {
+    return unwatchProduct(key);
+  }
+  delete product.priceRules[offerId];
+  product.notified.delete(offerId);
+  if (product.sizePriority) {
+    product.sizePriority = product.sizePriority.filter(id => id !== offerId);
+    if (product.sizePriority.length === 0) product.sizePriority = null;
+  }
+  scheduleSave();
+  publishProduct(key);
+  return true;
+}
+
+// Alerts can fire again, and the budget and size priority start over
+function resetProduct(key) {
+  const product = monitoredProducts.get(key);
+  product.notified.clear();
+  product.lastAlerts = {};
+  product.spent = 0;
+  product.fulfilledAt = null;
+  scheduleSave();
+  publishProduct(key);
+}
+
+// ============== WATCHLIST IMPORT / EXPORT ==============
+// Entries share the fields of POST /api/products/add; sizes may be given
+// as offer ids or as labels ("M", "42"), matched against the product's
+// current offers so a watchlist survives being moved between instances.
+
+// Portable entry for a monitored product (sizes as offer ids, with labels).
+// A product waiting for its launch exports the request it was added with.
+function toWatchEntry(product) {
+  if (product.pending) {
+    const { maxPrice, notifyOnPriceDrop, priceRules, ...entry } = product.pending.entry;
+    return {
+      ...entry,
+      priceRules: buildPriceRules(entry.watchedSizes, { maxPrice, notifyOnPriceDrop }, priceRules),
+      sizePriority: entry.sizePriority === true ? entry.watchedSizes : entry.sizePriority ?? null,
+      productId: product.productId,
+      url: `https://www.showroomprive.com/link/product/${product.productId}`,
+      title: product.productInfo?.title || null,
+      waitForLaunch: true
+    };
+  }
+  return {
+    productId: product.productId,
+    url: `https://www.showroomprive.com/link/product/${product.productId}`,
+    title: product.productInfo?.title || null,
+    watchedSizes: Array.from(product.watchedSizes),
+    sizeLabels: Object.fromEntries(Object.entries(product.sizeMapping).map(([offerId, info]) => [offerId, info.size])),
+    priceRules: product.priceRules,
+    sizePriority: product.sizePriority,
+    quantity: product.quantity,
+    maxSpend: product.maxSpend,
+    intervalSeconds: product.checkIntervalMs ? product.checkIntervalMs / 1000 : null,
+    cartMode: product.cartMode,
+    accountIds: product.accountIds,
+    watchSchedule: product.watchSchedule,
+    notificationPolicy: product.notificationPolicy
+  };
+}
+
+function parseIntervalSeconds(intervalSeconds) {
+  if (intervalSeconds === undefined || intervalSeconds === null || intervalSeconds === '') {
+    return null;
+  }
+  const checkIntervalMs = Math.round(Number(intervalSeconds) * 1000);
+  if (!Number.isFinite(checkIntervalMs) || checkIntervalMs < CONFIG.minCheckIntervalMs) {
+    throw new Error(`intervalSeconds must be at least ${CONFIG.minCheckIntervalMs / 1000}`);
+  }
+  return checkIntervalMs;
+}
+
+// Offer id for an offer id or a size label (case-insensitive)
+function resolveOfferId(offers, size) {
+  const value = String(size).trim();
+  const offer = offers.find(o => String(o.offerId) === value)
+    || offers.find(o => String(o.label).toLowerCase() === value.toLowerCase());
+  if (!offer) {
+    throw new Error(`Unknown size "${value}" (available: ${offers.map(o => o.label).join(', ') || 'none'})`);
+  }
+  return String(offer.offerId);
+}
+
+// Validate one entry and start watching it. Throws on invalid input or
+// upstream errors; the caller reports them for that entry only. With
+// waitForLaunch, a product that is not on sale yet becomes a pending watch.
+async function watchEntry(entry, { stockData = null, detection = {} } = {}) {
+  const productId = entry.productId ? String(entry.productId).trim() : entry.url ? parseProductUrl(entry.url) : null;
+  if (!productId || !/^\d+$/.test(productId)) {
+    throw new Error('A product ID or Showroomprivé product URL is required');
+  }
+
+  const cartMode = entry.cartMode || 'single';
+  if (!CART_MODES.includes(cartMode)) {
+    throw new Error(`cartMode must be one of: ${CART_MODES.join(', ')}`);
+  }
+  const checkIntervalMs = parseIntervalSeconds(entry.intervalSeconds);
+  const accountIds = resolveAccountIds(entry);
+  const watchSchedule = parseWatchSchedule(entry.watchSchedule);
+  const notificationPolicy = parseNotificationPolicy(entry.notificationPolicy);
+
+  if (!stockData) {
+    try {
+      stockData = await getProductStock(productId, getAccount(accountIds[0]));
+    } catch (error) {
+      if (!entry.waitForLaunch || !isNotLiveError(error)) throw error;
+    }
+  }
+  const offers = stockData?.offers || [];
+  if (offers.length === 0 && entry.waitForLaunch) {
+    return watchPendingProduct(productId, pendingEntry(entry, accountIds), { accountIds, checkIntervalMs, cartMode, watchSchedule, notificationPolicy });
+  }
+
+  let sizes = Array.isArray(entry.watchedSizes) && entry.watchedSizes.length > 0
+    ? entry.watchedSizes
+    : Array.isArray(entry.sizePriority) ? entry.sizePriority : [];
+  // Single-size products need no size
+  if (sizes.length === 0 && offers.length === 1) {
+    sizes = [offers[0].offerId];
+  }
+  if (sizes.length === 0) {
+    throw new Error(`At least one size is required (available: ${offers.map(o => o.label).join(', ') || 'none'})`);
+  }
+  const watchedSizes = Array.from(new Set(sizes.map(size => resolveOfferId(offers, size))));
+
+  const overrides = {};
+  for (const [size, rule] of Object.entries(entry.priceRules || {})) {
+    overrides[resolveOfferId(offers, size)] = rule;
+  }
+  const priceRules = buildPriceRules(watchedSizes, { maxPrice: entry.maxPrice, notifyOnPriceDrop: entry.notifyOnPriceDrop }, overrides);
+  const cartRules = normalizeCartRules({
+    ...entry,
+    sizePriority: Array.isArray(entry.sizePriority) ? entry.sizePriority.map(size => resolveOfferId(offers, size)) : entry.sizePriority
+  }, watchedSizes);
+
+  const result = await watchProduct({ productId, watchedSizes, priceRules, checkIntervalMs, accountIds, cartMode, ...cartRules, watchSchedule, notificationPolicy, stockData, detection });
+  return { productId, watchedSizes: result.watchedSizes, alreadyInStock: result.alreadyInStock, pending: false };
+}
+
+// The fields of an entry kept until launch, checked now as far as they
+// can be without the product's offers (sizes are resolved at launch)
+function pendingEntry(entry, accountIds) {
+  const sizes = (Array.isArray(entry.watchedSizes) && entry.watchedSizes.length > 0
+    ? entry.watchedSizes
+    : Array.isArray(entry.sizePriority) ? entry.sizePriority : []).map(String);
+  buildPriceRules(sizes, { maxPrice: entry.maxPrice, notifyOnPriceDrop: entry.notifyOnPriceDrop }, entry.priceRules);
+  normalizeCartRules({ ...entry, sizePriority: Array.isArray(entry.sizePriority) ? entry.sizePriority.map(String) : entry.sizePriority }, sizes);
+
+  const fields = ['maxPrice', 'notifyOnPriceDrop', 'priceRules', 'sizePriority', 'quantity', 'maxSpend', 'intervalSeconds', 'cartMode', 'watchSchedule', 'notificationPolicy'];
+  const saved = { watchedSizes: sizes, accountIds };
+  for (const field of fields) {
+    if (entry[field] !== undefined && entry[field] !== null && entry[field] !== '') saved[field] = entry[field];
+  }
+  return saved;
+}
+
+// Entries are watched one after the other to stay gentle with the API.
+// items: [{ line | index, input?, entry }]; defaults apply to every entry.
+// Products already monitored are skipped unless overwrite is set.
+async function watchEntries(items, defaults = {}, { overwrite = false } = {}) {
+  const results = [];
+  for (const { entry, ...position } of items) {
+    const merged = { ...entry };
+    for (const [field, value] of Object.entries(defaults)) {
+      if (merged[field] === undefined || merged[field] === '') merged[field] = value;
+    }
+    const productId = merged.productId ? String(merged.productId).trim() : merged.url ? parseProductUrl(merged.url) : null;
+
+    if (productId && monitoredProducts.has(productId) && !overwrite) {
+      results.push({ ...position, productId, success: false, skipped: true, error: 'Already monitored' });
+      continue;
+    }
+    try {
+      results.push({ ...position, success: true, ...await watchEntry(merged) });
+    } catch (error) {
+      if (error instanceof AuthError) {
+        const accountIds = merged.accountIds || [merged.accountId || DEFAULT_ACCOUNT_ID];
+        const account = accounts.get(accountIds[0]);
+        if (account) sendTokenExpiredNotification(account, error.message);
+      }
+      results.push({ ...position, productId, success: false, error: error.message });
+    }
+  }
+
+  const added = results.filter(result => result.success).length;
+  const skipped = results.filter(result => result.skipped).length;
+  logger.info(`📥 Watchlist: ${added}/${results.length} product(s) added${skipped ? `, ${skipped} already monitored` : ''}`, { event: 'watchlist_import', added, skipped });
+  return { added, skipped, failed: results.length - added - skipped, results };
+}
+
+// ============== COLLECTIONS (SALES / CATEGORIES) ==============
+// A watched sale or category is listed periodically. The first scan only
+// records what is listed; later scans alert on new products and on sizes
+// coming back in stock that match the filters, and can promote those
+// products to full watches.
+
+const COLLECTION_TYPES = ['sale', 'category'];
+
+// key ("sale-12345") -> collection
+const watchedCollections = new Map();
+
+function collectionKey(type, sourceId) {
+  return `${type}-${sourceId}`;
+}
+
+// Validate { brands, sizes, maxPrice } from API input; lists accept arrays or comma-separated strings
+function normalizeCollectionFilters({ brands, sizes, maxPrice } = {}) {
+  const toList = value => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  
+  const filters = { brands: toList(brands), sizes: toList(sizes), maxPrice: null };
+  if (maxPrice !== undefined && maxPrice !== null && maxPrice !== '') {
+    filters.maxPrice = Number(maxPrice);
+    if (!Number.isFinite(filters.maxPrice) || filters.maxPrice <= 0) {
+      throw new Error('maxPrice must be a positive number');
+    }
+  }
+  return filters;
+}
+
+function includesIgnoringCase(list, value) {
+  const needle = String(value || '').trim().toLowerCase();
+  return list.some(item => item.toLowerCase() === needle);
+}
+
+// Brand and price filters, applied to the listing before reading stock
+function isCollectionCandidate(filters, item) {
+  if (filters.brands.length > 0 && !includesIgnoringCase(filters.brands, item.brand)) {
+    return false;
+  }
+  return filters.maxPrice === null || item.price === null || item.price <= filters.maxPrice;
+}
+
+function matchesSizeFilter(filters, offer) {
+  return filters.sizes.length === 0 || includesIgnoringCase(filters.sizes, offer.label);
+}
+
+// Offers in stock that match the size and price filters
+function matchingOffers(filters, offers) {
+  return offers.filter(offer =>
+    offer.available > 0 &&
+    matchesSizeFilter(filters, offer) &&
+    (filters.maxPrice === null || offer.price === null || offer.price <= filters.maxPrice)
+  );
+}
+
+// Offers missing from the listing are read from the stock endpoint
+async function getItemOffers(item, account) {
+  if (item.offers) {
+    return item.offers;
+  }
+  const stockData = await getProductStock(item.productId, account);
+  return (stockData.offers || []).map(offer => ({
+    offerId: String(offer.offerId),
+    label: offer.label,
+    available: offer.available,
+    price: offer.price
+  }));
+}
+
+// Turn a matching collection product into a regular product watch
+async function promoteCollectionItem(collection, item, offers) {
+  // Collections saved before autoPromote required a size filter
+  if (monitoredProducts.has(item.productId) || collection.filters.sizes.length === 0) {
+    return false;
+  }
+  
+  const watchedSizes = offers.filter(offer => matchesSizeFilter(collection.filters, offer)).map(offer => offer.offerId);
+  const priceRules = buildPriceRules(watchedSizes, { maxPrice: collection.filters.maxPrice });
+  await watchProduct({
+    productId: item.productId,
+    watchedSizes,
+    priceRules,
+    accountIds: collection.accountIds,
+    cartMode: collection.cartMode
+  });
+  logger.info(`➕ Product ${item.productId} promoted from ${collection.key}`, { event: 'collection_promoted', collection: collection.key, productId: item.productId });
+  return true;
+}
+
+// Scan one collection; errors propagate to the collection scheduler for backoff
+async function scanCollection(key) {
+  const collection = watchedCollections.get(key);
+  if (!collection) return;
+  
+  const account = getAccount(collection.accountIds[0]);
+  const listing = await getCollectionProducts(collection.type, collection.sourceId, account);
+  if (!collection.name && listing.name) {
+    collection.name = listing.name;
+  }
+  
+  logger.debug(`Scanning ${key}: ${listing.products.length} product(s)`, { event: 'collection_scan', collection: key });
+  
+  const isBaseline = !collection.lastScanAt;
+  const now = new Date().toISOString();
+  const listed = new Set();
+  const alerts = [];
+  
+  for (const item of listing.products) {
+    listed.add(item.productId);
+    const known = collection.knownProducts[item.productId];
+    
+    let offers = [];
+    if (isCollectionCandidate(collection.filters, item)) {
+      try {
+        offers = await getItemOffers(item, account);
+      } catch (error) {
+        // Credentials or rate limit problems affect every item: end the scan
+        if (error instanceof AuthError || error instanceof RateLimitError) throw error;
+        logger.warn(`Failed to read stock of ${item.productId} (${key})`, { event: 'collection_scan', collection: key, productId: item.productId, error });
+        continue;
+      }
+    }
+    const matched = matchingOffers(collection.filters, offers);
+    
+    if (!isBaseline) {
+      const newSizes = known ? matched.filter(offer => !known.matchedSizes.includes(offer.label)) : matched;
+      if (newSizes.length > 0) {
+        alerts.push({ kind: known ? 'restock' : 'new', item, matched: newSizes, offers });
+      }
+    }
+    
+    collection.knownProducts[item.productId] = {
+      title: item.title,
+      brand: item.brand,
+      imageUrl: item.imageUrl,
+      price: item.price,
+      matchedSizes: matched.map(offer => offer.label),
+      promoted: known?.promoted || false,
+      firstSeenAt: known?.firstSeenAt || now,
+      lastSeenAt: now
+    };
+  }
+  
+  // Products no longer listed are forgotten, so a relisting counts as new
+  for (const productId of Object.keys(collection.knownProducts)) {
+    if (!listed.has(productId)) {
+      delete collection.knownProducts[productId];
+    }
+  }
+  collection.lastScanAt = now;
+  
+  for (const { kind, item, matched, offers } of alerts) {
+    logger.info(`🆕 ${key}: ${kind === 'new' ? 'new product' : 'restock'} ${item.productId} (${matched.map(offer => offer.label).join(', ')})`, {
+      event: 'collection_alert',
+      kind,
+      collection: key,
+      productId: item.productId
+    });
+    await sendCollectionNotification(kind, collection, item, matched, account);
+    
+    if (collection.autoPromote) {
+      try {
+        if (await promoteCollectionItem(collection, item, offers)) {
+          collection.knownProducts[item.productId].promoted = true;
+        }
+      } catch (error) {
+        logger.error(`Failed to promote ${item.productId} from ${key}`, { event: 'collection_promoted', collection: key, productId: item.productId, error });
+      }
+    }
+  }
+  
+  scheduleSave();
+}
+
+async function handleCollectionError(key, error, consecutiveErrors) {
+  logger.error(`Error scanning ${key} (${consecutiveErrors} in a row)`, { event: 'collection_scan_error', collection: key, consecutiveErrors, error });
+  
+  const collection = watchedCollections.get(key);
+  if (collection && error instanceof AuthError) {
+    await sendTokenExpiredNotification(getAccount(collection.accountIds[0]), error.message);
+  }
+}
+
+// API view of a collection; `products` lists what the last scan found
+function describeCollection(collection, { includeProducts = false } = {}) {
+  const known = Object.entries(collection.knownProducts);
+  const description = {
+    key: collection.key,
+    type: collection.type,
+    sourceId: collection.sourceId,
+    url: collection.url,
+    name: collection.name,
+    filters: collection.filters,
+    autoPromote: collection.autoPromote,
+    accountIds: collection.accountIds,
+    cartMode: collection.cartMode,
+    productCount: known.length,
+    matchingCount: known.filter(([, item]) => item.matchedSizes.length > 0).length,
+    promotedCount: known.filter(([, item]) => item.promoted).length,
+    createdAt: collection.createdAt,
+    lastScanAt: collection.lastScanAt,
+    schedule: collectionScheduler.getStatus(collection.key)
+  };
+  if (includeProducts) {
+    description.products = known.map(([productId, item]) => ({ productId, ...item }));
+  }
+  return description;
+}
+
+const collectionScheduler = createScheduler({
+  run: scanCollection,
+  onError: handleCollectionError,
+  onSettled: (key) => {
+    const collection = watchedCollections.get(key);
+    if (collection) events.publish('collection', describeCollection(collection));
+  },
+  onRun: (key, run) => recordCheck('collection', key, run),
+  logger,
+  // Global pause and global watch windows apply to scans too (no burst)
+  isPaused: (key) => {
+    const collection = watchedCollections.get(key);
+    return !!collection && (
+      monitoringControl.paused
+      || !scheduleState(monitoringControl.watchSchedule).active
+      || isAccountPaused(getAccount(collection.accountIds[0]))
+    );
+  },
+  getIntervalMs: (key) => watchedCollections.get(key)?.checkIntervalMs || CONFIG.collectionScanMs,
+  concurrency: 1,
+  jitterRatio: CONFIG.jitterRatio,
+  maxBackoffMs: CONFIG.maxBackoffMs
+});
+
+// ============== SHOWROOMPRIVÉ AUTH STATE ==============
+// Every account with credentials is probed every AUTH_PROBE_MINUTES with a
+// cheap authenticated call (its cart). While an account's token is expired
+// the products and collections polled with it are paused; they resume as
+// soon as a probe succeeds again, e.g. right after new headers are posted.
+
+// Expiry embedded in the account's token, when it is a JWT
+function tokenExpiresAt(account) {
+  const candidates = [account.token, account.customHeaders.token, account.customHeaders.authorization];
+  for (const value of candidates) {
+    const expiresAt = jwtExpiry(value);
+    if (expiresAt) return expiresAt;
+  }
+  return null;
+}
+
+// valid | expiring (JWT expiry within AUTH_WARNING_HOURS) | expired
+function authState(account) {
+  if (account.tokenExpired) return 'expired';
+  const expiresAt = tokenExpiresAt(account);
+  return expiresAt && expiresAt - Date.now() <= CONFIG.authWarningMs ? 'expiring' : 'valid';
+}
+
+function describeAuth(account) {
+  const expiresAt = tokenExpiresAt(account);
+  return {
+    state: authState(account),
+    expiresAt: expiresAt ? expiresAt.toISOString() : null,
+    checkedAt: account.authCheckedAt,
+    lastError: account.tokenExpired ? account.authError : null
+  };
+}
+
+function isAccountPaused(account) {
+  return !!account?.tokenExpired;
+}
+
+// Refresh the UI for everything polled with the account; on resume the
+// jobs are also checked right away instead of at their next slot
+function publishAccountJobs(account, { resume = false } = {}) {
+  for (const [key, product] of monitoredProducts) {
+    if (getProductAccounts(product)[0] !== account) continue;
+    if (resume) scheduler.trigger(key);
+    publishProduct(key);
+  }
+  for (const [key, collection] of watchedCollections) {
+    if (getAccount(collection.accountIds[0]) !== account) continue;
+    if (resume) collectionScheduler.trigger(key);
+    events.publish('collection', describeCollection(collection));
+  }
+}
+
+async function warnIfTokenExpiring(account) {
+  const expiresAt = tokenExpiresAt(account);
+  if (authState(account) !== 'expiring' || account.tokenExpiryWarned === expiresAt.toISOString()) {
+    return;
+  }
+  account.tokenExpiryWarned = expiresAt.toISOString();
+  scheduleSave();
+  events.publish('auth', describeAccount(account));
+  await sendTokenExpiringNotification(account, expiresAt);
+}
+
+// Never throws; returns the account's auth description
+async function probeAccountAuth(account) {
+  if (!accountHasAuth(account)) {
+    return describeAuth(account);
+  }
   
-  tokenExpiredNotificationSent = true;
+  try {
+    await getCart(account);
+    account.authCheckedAt = new Date().toISOString();
+    account.authError = null;
+    if (account.tokenExpired) {
+      account.tokenExpired = false;
+      account.tokenExpiredNotificationSent = false;
+      logger.info(`✅ Token OK again for account ${account.id} - resuming monitoring`, { event: 'token_valid', account: account.id });
+      events.publish('auth', describeAccount(account));
+      publishAccountJobs(account, { resume: true });
+      await sendTokenValidNotification(account);
+    }
+  } catch (error) {
+    account.authCheckedAt = new Date().toISOString();
+    if (error instanceof AuthError) {
+      await sendTokenExpiredNotification(account, error.message);
+    } else {
+      // Network trouble or rate limiting says nothing about the token
+      logger.warn(`Auth probe failed for account ${account.id}`, { event: 'auth_probe', account: account.id, error });
+    }
+  }
   
-  const embed = {
-    title: "⚠️ TOKEN EXPIRÉ",
-    color: 0xf44336,
-    description: "Le token Showroomprivé a expiré. Le monitoring est en pause.",
-    fields: [
-      { name: "🔧 Action requise", value: "Mettez à jour les headers via l'interface web", inline: false },
-      { name: "❌ Erreur", value: `\`${errorMessage}\``, inline: false }
-    ],
-    footer: { text: "Showroomprivé Monitor" },
-    timestamp: new Date().toISOString()
-  };
+  await warnIfTokenExpiring(account);
+  return describeAuth(account);
+}
 
-  console.log('⚠️ Token expired - sending Discord notification');
-  
-  return sendDiscordWebhook({
-    content: "@everyone ⚠️ **TOKEN EXPIRÉ - MISE À JOUR REQUISE!**",
-    embeds: [embed]
-  });
+let authProbeRunning = false;
+
+async function probeAllAccounts() {
+  if (authProbeRunning) return;
+  authProbeRunning = true;
+  try {
+    for (const account of accounts.values()) {
+      await probeAccountAuth(account);
+    }
+  } finally {
+    authProbeRunning = false;
+  }
 }
 
-function resetTokenExpiredFlag() {
-  tokenExpiredNotificationSent = false;
+function startAuthProbe() {
+  if (CONFIG.authProbeMs <= 0) return;
+  setInterval(probeAllAccounts, CONFIG.authProbeMs);
+  probeAllAccounts();
 }
 
-// ============== MONITORING LOGIC ==============
+// ============== AUTHENTICATION ==============
 
-function getTimestamp() {
-  return new Date().toLocaleString('fr-FR', {
-    day: '2-digit', month: '2-digit', year: 'numeric',
-    hour: '2-digit', minute: '2-digit', second: '2-digit'
-  });
+app.set('trust proxy', CONFIG.trustProxy);
+
+const auth = createAuth({
+  operatorPassword: CONFIG.adminPassword,
+  viewerPassword: CONFIG.viewerPassword,
+  apiKeys: parseApiKeys(CONFIG.apiKeys)
+});
+
+// Viewers can read products, history and the notification log;
+// everything else (changes, config, test endpoints) needs an operator
+function requiredRole(req) {
+  if (req.method === 'GET' && !req.path.startsWith('/config')) {
+    return 'viewer';
+  }
+  return 'operator';
 }
 
-async function monitorAllProducts() {
-  for (const [key, product] of monitoredProducts) {
-    try {
-      const stockData = await getProductStock(product.productId);
-      
-      console.log(`[${getTimestamp()}] Checking product ${product.productId}`);
-      
-      // Build current stock from offers
-      const currentStock = {};
-      if (stockData.offers) {
-        stockData.offers.forEach(offer => {
-          currentStock[offer.offerId] = {
-            available: offer.available,
-            label: offer.label,
-            price: offer.price
-          };
-        });
-      }
-      
-      for (const [offerId, offerData] of Object.entries(currentStock)) {
-        const prevStock = product.previousStock[offerId];
-        const wasOutOfStock = !prevStock || prevStock.available === 0;
-        const nowInStock = offerData.available > 0;
-        const size = offerData.label || '?';
-        
-        // Check if this size is being watched and stock became available
-        if (product.watchedSizes.has(offerId) && wasOutOfStock && nowInStock) {
-          if (!product.notified.has(offerId)) {
-            console.log(`🚨 NEW STOCK: ${size} (${offerId}) - ${offerData.available} units!`);
-            
-            // Try to add to cart
-            try {
-              const cartResult = await addToCart(product.productId, offerId);
-              
-              if (cartResult.success) {
-                product.notified.add(offerId);
-                
-                console.log(`✅ Added to cart!`);
-                
-                const productUrl = `https://www.showroomprive.com/link/product/${product.productId}`;
-                await sendCartNotification(
-                  product.productInfo,
-                  offerId,
-                  size,
-                  offerData.available,
-                  offerData.price,
-                  productUrl
-                );
-              } else {
-                throw new Error(cartResult.message || 'Add to cart failed');
-              }
-            } catch (cartError) {
-              console.error(`Failed to add to cart: ${cartError.message}`);
-              
-              // Send stock notification instead
-              product.notified.add(offerId);
-              const productUrl = `https://www.showroomprive.com/link/product/${product.productId}`;
-              await sendStockNotification(
-                product.productInfo,
-                offerId,
-                size,
-                offerData.available,
-                offerData.price,
-                productUrl
-              );
-            }
-          }
-        }
-        
-        // Reset if item goes out of stock
-        if (product.notified.has(offerId) && !nowInStock) {
-          product.notified.delete(offerId);
-        }
-      }
-      
-      // Update previous stock
-      product.previousStock = currentStock;
-      
-      // Update size mapping
-      if (stockData.offers) {
-        stockData.offers.forEach(offer => {
-          product.sizeMapping[offer.offerId] = {
-            size: offer.label,
-            price: offer.price
-          };
-        });
-      }
-      
-    } catch (error) {
-      console.error(`[${getTimestamp()}] Error monitoring ${key}:`, error.message);
-      
-      const errorMsg = error.message.toLowerCase();
-      if (errorMsg.includes('unauthorized') || 
-          errorMsg.includes('401') || 
-          errorMsg.includes('403') ||
-          errorMsg.includes('token') ||
-          errorMsg.includes('auth')) {
-        await sendTokenExpiredNotification(error.message);
-      }
-    }
+function rejectIfBlocked(req, res) {
+  const blockedMs = auth.blockedForMs(req.ip);
+  if (blockedMs > 0) {
+    res.set('Retry-After', String(Math.ceil(blockedMs / 1000)));
+    res.status(429).json({ error: 'Too many failed attempts, try again later' });
+    return true;
   }
+  return false;
 }
 
-function startMonitoring() {
-  if (monitoringInterval) {
-    console.log('Monitoring already running');
-    return;
+function requireAuth(req, res, next) {
+  if (!auth.enabled) {
+    req.role = 'operator';
+    return next();
+  }
+  if (rejectIfBlocked(req, res)) return;
+  
+  const identity = auth.identify(req);
+  if (!identity) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (identity.invalid) {
+    auth.recordFailure(req.ip);
+    return res.status(401).json({ error: 'Invalid token' });
   }
   
-  console.log(`[${getTimestamp()}] 🚀 Starting monitoring (interval: ${CONFIG.checkIntervalMs / 1000}s)`);
-  monitoringInterval = setInterval(monitorAllProducts, CONFIG.checkIntervalMs);
+  const role = requiredRole(req);
+  if (!hasRole(identity.role, role)) {
+    return res.status(403).json({ error: `${role} role required` });
+  }
   
-  monitorAllProducts();
+  req.role = identity.role;
+  next();
 }
 
-function stopMonitoring() {
-  if (monitoringInterval) {
-    clearInterval(monitoringInterval);
-    monitoringInterval = null;
-    console.log(`[${getTimestamp()}] ⏹️ Monitoring stopped`);
+app.post('/api/auth/login', (req, res) => {
+  if (!auth.enabled) {
+    return res.json({ success: true, role: 'operator', authEnabled: false });
   }
-}
+  if (rejectIfBlocked(req, res)) return;
+  
+  const role = auth.roleForPassword(req.body.password || '');
+  if (!role) {
+    auth.recordFailure(req.ip);
+    logger.warn(`Failed login from ${req.ip}`, { event: 'login_failed', ip: req.ip });
+    return res.status(401).json({ error: 'Invalid password' });
+  }
+  
+  const token = auth.createSession(role);
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: auth.sessionTtlMs
+  });
+  // The token can also be used as a bearer token by scripts
+  res.json({ success: true, role, token });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const identity = auth.enabled ? auth.identify(req) : null;
+  if (identity?.token) {
+    auth.destroySession(identity.token);
+  }
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ success: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  if (!auth.enabled) {
+    return res.json({ authenticated: true, role: 'operator', authEnabled: false });
+  }
+  const identity = auth.identify(req);
+  if (!identity || identity.invalid) {
+    return res.json({ authenticated: false, role: null, authEnabled: true });
+  }
+  res.json({ authenticated: true, role: identity.role, authEnabled: true });
+});
+
+app.use('/api', requireAuth);
 
 // ============== API ROUTES ==============
 
+// Answer a route that failed on a Showroomprivé call. Upstream auth
+// failures map to 502, not 401/403, which the web UI reads as its own
+// session having expired.
+function sendApiError(res, error) {
+  if (error instanceof RateLimitError) {
+    res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    return res.status(503).json({ error: error.message, retryAfterMs: error.retryAfterMs });
+  }
+  const status = error instanceof NotFoundError ? 404 : error instanceof UpstreamError ? 502 : 500;
+  res.status(status).json({ error: error.message });
+}
+
 app.get('/api/products', (req, res) => {
   const products = [];
   for (const [key, product] of monitoredProducts) {
-    products.push({
-      key,
-      productId: product.productId,
-      productInfo: product.productInfo,
-      sizeMapping: product.sizeMapping,
-      watchedSizes: Array.from(product.watchedSizes),
-      currentStock: product.previousStock,
-      notified: Array.from(product.notified)
-    });
+    products.push(describeProduct(key, product));
   }
-  res.json({ products, isMonitoring: !!monitoringInterval });
+  res.json({ products, isMonitoring: scheduler.isRunning(), monitoring: describeMonitoring() });
 });
 
 app.post('/api/products/fetch', async (req, res) => {
+  let account = null;
   try {
-    let { productId, url } = req.body;
+    let { productId, url, accountId } = req.body;
     
     if (url) {
       const parsed = parseProductUrl(url);
@@ -512,8 +3395,13 @@ app.post('/api/products/fetch', async (req, res) => {
     if (!productId) {
       return res.status(400).json({ error: 'Product ID is required' });
     }
+    
+    if (accountId && !accounts.has(accountId)) {
+      return res.status(400).json({ error: `Unknown account: ${accountId}` });
+    }
+    account = getAccount(accountId);
 
-    const stockData = await getProductStock(productId);
+    const stockData = await getProductStock(productId, account);
     
     const sizes = stockData.offers ? stockData.offers.map(offer => ({
       offerId: offer.offerId,
@@ -524,163 +3412,462 @@ app.post('/api/products/fetch', async (req, res) => {
     
     res.json({
       productId,
-      productInfo: {
-        productId,
-        title: `Produit ${productId}`,
-        label: stockData.label
-      },
+      productInfo: await loadProductInfo(productId, account, stockData.label),
       sizes,
       sizeUnique: stockData.sizeUnique
     });
   } catch (error) {
-    console.error(`[${getTimestamp()}] Fetch error:`, error.message);
+    logger.error('Fetch error', { event: 'api_error', route: 'products/fetch', productId: req.body.productId, account: account?.id, error });
     
-    const errorMsg = error.message.toLowerCase();
-    if (errorMsg.includes('unauthorized') || errorMsg.includes('401') || errorMsg.includes('403')) {
-      sendTokenExpiredNotification(error.message);
+    if (account && error instanceof AuthError) {
+      sendTokenExpiredNotification(account, error.message);
     }
     
-    res.status(500).json({ error: error.message });
+    sendApiError(res, error);
   }
 });
 
+// Validated like a watchlist entry (watchEntry): sizes may be offer ids or labels
 app.post('/api/products/add', async (req, res) => {
   try {
-    let { productId, url, watchedSizes } = req.body;
+    const result = await watchEntry(req.body);
+    res.json({
+      success: true,
+      message: result.pending ? `Waiting for product ${result.productId} to go live` : `Now monitoring product ${result.productId}`,
+      watchedSizes: result.watchedSizes,
+      alreadyInStock: result.alreadyInStock,
+      pending: result.pending
+    });
+  } catch (error) {
+    logger.error('Add product error', { event: 'api_error', route: 'products/add', productId: req.body.productId, error });
     
-    if (url) {
-      const parsed = parseProductUrl(url);
-      if (parsed) {
-        productId = parsed;
-      }
+    if (error instanceof AuthError) {
+      sendTokenExpiredNotification(getAccount(resolveAccountIds(req.body)[0]), error.message);
     }
     
-    if (!productId || !watchedSizes || !Array.isArray(watchedSizes)) {
-      return res.status(400).json({ error: 'Product ID and watchedSizes array are required' });
+    // Everything else watchEntry throws is a validation error
+    if (!(error instanceof UpstreamError)) {
+      return res.status(400).json({ error: error.message });
     }
+    sendApiError(res, error);
+  }
+});
 
-    const stockData = await getProductStock(productId);
-    
-    const sizeMapping = {};
-    const stockInfo = {};
-    
-    if (stockData.offers) {
-      stockData.offers.forEach(offer => {
-        sizeMapping[offer.offerId] = {
-          size: offer.label,
-          price: offer.price
-        };
-        stockInfo[offer.offerId] = {
-          available: offer.available,
-          label: offer.label,
-          price: offer.price
-        };
-      });
-    }
-    
-    // Check if any watched size is already in stock
-    const alreadyInStock = [];
-    for (const offerId of watchedSizes) {
-      const stock = stockInfo[offerId];
-      if (stock && stock.available > 0) {
-        const size = sizeMapping[offerId]?.size || offerId;
-        alreadyInStock.push(size);
-        
-        // Try to add to cart immediately
-        try {
-          const cartResult = await addToCart(productId, offerId);
-          if (cartResult.success) {
-            const productUrl = `https://www.showroomprive.com/link/product/${productId}`;
-            await sendCartNotification(
-              { title: `Produit ${productId}` },
-              offerId,
-              size,
-              stock.available,
-              stock.price,
-              productUrl
-            );
-          }
-        } catch (err) {
-          console.log(`Could not auto-add ${size} to cart: ${err.message}`);
-          // Send stock notification instead
-          const productUrl = `https://www.showroomprive.com/link/product/${productId}`;
-          await sendStockNotification(
-            { title: `Produit ${productId}` },
-            offerId,
-            size,
-            stock.available,
-            stock.price,
-            productUrl
-          );
-        }
-      }
-    }
-    
-    const productInfo = {
-      productId,
-      title: `Produit ${productId}`,
-      label: stockData.label
+// Bulk add: one "<url or id> <size> [<size>...]" per line; the other
+// fields (accountId, cartMode, maxPrice, intervalSeconds...) apply to every line
+app.post('/api/products/bulk', async (req, res) => {
+  const { lines, overwrite, ...defaults } = req.body;
+  if (typeof lines !== 'string' || !lines.trim()) {
+    return res.status(400).json({ error: 'lines must be a non-empty string' });
+  }
+  try {
+    resolveAccountIds(defaults);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+
+  const items = parseBulkLines(lines).map(({ line, input, product, sizes }) => ({
+    line,
+    input,
+    entry: /^\d+$/.test(product) ? { productId: product, watchedSizes: sizes } : { url: product, watchedSizes: sizes }
+  }));
+  if (items.length === 0) {
+    return res.status(400).json({ error: 'No product in lines' });
+  }
+
+  res.json({ success: true, ...await watchEntries(items, defaults, { overwrite: !!overwrite }) });
+});
+
+app.delete('/api/products/:key', (req, res) => {
+  if (unwatchProduct(req.params.key)) {
+    res.json({ success: true, message: 'Product removed' });
+  } else {
+    res.status(404).json({ error: 'Product not found' });
+  }
+});
+
+app.post('/api/products/:key/reset', (req, res) => {
+  const { key } = req.params;
+  
+  if (!monitoredProducts.has(key)) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  
+  resetProduct(key);
+  res.json({ success: true, message: 'Notifications reset' });
+});
+
+app.post('/api/products/:key/pause', (req, res) => {
+  if (!monitoredProducts.has(req.params.key)) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  setProductPaused(req.params.key, true);
+  res.json({ success: true, product: describeProduct(req.params.key, monitoredProducts.get(req.params.key)) });
+});
+
+app.post('/api/products/:key/resume', (req, res) => {
+  if (!monitoredProducts.has(req.params.key)) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  setProductPaused(req.params.key, false);
+  res.json({ success: true, product: describeProduct(req.params.key, monitoredProducts.get(req.params.key)) });
+});
+
+// Body: { watchSchedule } (see lib/schedule.js); null falls back to the global schedule
+app.put('/api/products/:key/schedule', (req, res) => {
+  const { key } = req.params;
+  const product = monitoredProducts.get(key);
+  if (!product) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  try {
+    product.watchSchedule = parseWatchSchedule(req.body.watchSchedule);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  if (product.pending) {
+    product.pending.entry.watchSchedule = product.watchSchedule;
+  }
+  scheduleSave();
+  publishProduct(key);
+  res.json({ success: true, product: describeProduct(key, product) });
+});
+
+// Body: { notificationPolicy } (see lib/policies.js); null falls back to the global policy
+app.put('/api/products/:key/notifications', (req, res) => {
+  const { key } = req.params;
+  const product = monitoredProducts.get(key);
+  if (!product) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  try {
+    product.notificationPolicy = parseNotificationPolicy(req.body.notificationPolicy);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  if (product.pending) {
+    product.pending.entry.notificationPolicy = product.notificationPolicy;
+  }
+  scheduleSave();
+  publishProduct(key);
+  res.json({ success: true, product: describeProduct(key, product) });
+});
+
+// Stock/price timeline for a product
+// Query: from, to (epoch ms, ISO date or relative like "6h"), offerId (optional)
+app.get('/api/products/:key/timeline', (req, res) => {
+  const { key } = req.params;
+  
+  if (!monitoredProducts.has(key)) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: 'Invalid from/to parameter' });
+  }
+  
+  const product = monitoredProducts.get(key);
+  const offers = {};
+  for (const [offerId, points] of Object.entries(product.timeline)) {
+    if (req.query.offerId && req.query.offerId !== offerId) continue;
+    offers[offerId] = {
+      size: product.sizeMapping[offerId]?.size || offerId,
+      watched: product.watchedSizes.has(offerId),
+      points: toPointObjects(sliceSeries(points, from, to))
     };
+  }
+  
+  res.json({
+    key,
+    productId: product.productId,
+    from: from !== null ? new Date(from).toISOString() : null,
+    to: to !== null ? new Date(to).toISOString() : null,
+    offers
+  });
+});
+
+// ============== MONITORING CONTROL API ==============
+
+app.get('/api/monitoring', (req, res) => {
+  res.json(describeMonitoring());
+});
+
+app.post('/api/monitoring/pause', (req, res) => {
+  setMonitoringPaused(true);
+  res.json({ success: true, ...describeMonitoring() });
+});
+
+app.post('/api/monitoring/resume', (req, res) => {
+  setMonitoringPaused(false);
+  res.json({ success: true, ...describeMonitoring() });
+});
+
+// Body: { watchSchedule } for products without their own; null removes it
+app.put('/api/monitoring/schedule', (req, res) => {
+  try {
+    monitoringControl.watchSchedule = parseWatchSchedule(req.body.watchSchedule);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  logger.info('🗓️ Global watch schedule updated', { event: 'schedule_updated' });
+  scheduleSave();
+  publishMonitoring();
+  res.json({ success: true, ...describeMonitoring() });
+});
+
+// ============== COLLECTIONS API ==============
+
+app.get('/api/collections', (req, res) => {
+  const collections = Array.from(watchedCollections.values()).map(collection => describeCollection(collection));
+  res.json({ collections });
+});
+
+app.get('/api/collections/:key', (req, res) => {
+  const collection = watchedCollections.get(req.params.key);
+  if (!collection) {
+    return res.status(404).json({ error: 'Collection not found' });
+  }
+  res.json(describeCollection(collection, { includeProducts: true }));
+});
+
+// Body: url (or type + id), name, brands, sizes, maxPrice, autoPromote,
+// intervalSeconds, accountId/accountIds, cartMode (for promoted products)
+app.post('/api/collections', (req, res) => {
+  const { url, name = null, autoPromote = false, intervalSeconds, cartMode = 'single' } = req.body;
+  
+  const source = url ? parseCollectionUrl(url) : { type: req.body.type, id: req.body.id && String(req.body.id) };
+  if (!source || !COLLECTION_TYPES.includes(source.type) || !/^\d+$/.test(source.id || '')) {
+    return res.status(400).json({ error: 'A sale or category URL (or type and numeric id) is required' });
+  }
+  
+  let filters;
+  let accountIds;
+  try {
+    filters = normalizeCollectionFilters(req.body);
+    accountIds = resolveAccountIds(req.body);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  
+  if (!CART_MODES.includes(cartMode)) {
+    return res.status(400).json({ error: `cartMode must be one of: ${CART_MODES.join(', ')}` });
+  }
+  // Promoted products are carted right away: without a size filter that
+  // would be every size in stock of every new product
+  if (autoPromote && filters.sizes.length === 0) {
+    return res.status(400).json({ error: 'autoPromote requires a sizes filter' });
+  }
+  
+  let checkIntervalMs = null;
+  if (intervalSeconds !== undefined && intervalSeconds !== null && intervalSeconds !== '') {
+    checkIntervalMs = Math.round(Number(intervalSeconds) * 1000);
+    if (!Number.isFinite(checkIntervalMs) || checkIntervalMs < CONFIG.minCollectionScanMs) {
+      return res.status(400).json({ error: `intervalSeconds must be at least ${CONFIG.minCollectionScanMs / 1000}` });
+    }
+  }
+  
+  const key = collectionKey(source.type, source.id);
+  const existing = watchedCollections.get(key);
+  const collection = {
+    key,
+    type: source.type,
+    sourceId: source.id,
+    url: url || existing?.url || null,
+    name: name || existing?.name || null,
+    filters,
+    autoPromote: !!autoPromote,
+    accountIds,
+    cartMode,
+    checkIntervalMs,
+    // Keep what was already seen so updating filters does not re-alert the whole listing
+    knownProducts: existing?.knownProducts || {},
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    lastScanAt: existing?.lastScanAt || null
+  };
+  watchedCollections.set(key, collection);
+  collectionScheduler.add(key);
+  collectionScheduler.start();
+  scheduleSave();
+  
+  logger.info(`Watching ${key}${collection.name ? ` (${collection.name})` : ''}`, { event: 'collection_added', collection: key });
+  res.json({ success: true, collection: describeCollection(collection) });
+});
+
+app.delete('/api/collections/:key', (req, res) => {
+  const { key } = req.params;
+  if (!watchedCollections.delete(key)) {
+    return res.status(404).json({ error: 'Collection not found' });
+  }
+  collectionScheduler.remove(key);
+  metrics.collectionScans.remove({ collection: key });
+  if (watchedCollections.size === 0) {
+    collectionScheduler.stop();
+  }
+  scheduleSave();
+  events.publish('collection_removed', { key });
+  res.json({ success: true, message: 'Collection removed' });
+});
+
+// Scan now instead of waiting for the next interval
+app.post('/api/collections/:key/scan', (req, res) => {
+  const { key } = req.params;
+  if (!watchedCollections.has(key)) {
+    return res.status(404).json({ error: 'Collection not found' });
+  }
+  collectionScheduler.trigger(key);
+  res.json({ success: true, message: 'Scan scheduled' });
+});
+
+// ============== CART API ==============
+
+// Resolve ?accountId= / body.accountId, or answer 404
+function getRequestAccount(req, res) {
+  const accountId = req.query.accountId || req.body?.accountId || DEFAULT_ACCOUNT_ID;
+  if (!accounts.has(accountId)) {
+    res.status(404).json({ error: 'Account not found' });
+    return null;
+  }
+  return accounts.get(accountId);
+}
+
+// Cart item ids are "productId:offerId"
+function parseCartItemId(item) {
+  const [productId, offerId] = String(item).split(':');
+  return productId && offerId ? { productId, offerId } : null;
+}
+
+function handleCartError(account, error, res) {
+  logger.error(`Cart error (${account.id})`, { event: 'api_error', route: 'cart', account: account.id, error });
+  if (error instanceof AuthError) {
+    sendTokenExpiredNotification(account, error.message);
+  }
+  sendApiError(res, error);
+}
+
+app.get('/api/cart', async (req, res) => {
+  const account = getRequestAccount(req, res);
+  if (!account) return;
+  
+  try {
+    const cart = await getCart(account);
+    pruneReservations();
     
-    monitoredProducts.set(productId, {
-      productId,
-      productInfo,
-      sizeMapping,
-      watchedSizes: new Set(watchedSizes),
-      previousStock: stockInfo,
-      notified: new Set(alreadyInStock.length > 0 ? watchedSizes.filter(id => stockInfo[id]?.available > 0) : [])
+    // Fill in titles and deadlines from our own reservations when the cart lacks them
+    const items = cart.items.map(item => {
+      const reservation = cartReservations.get(reservationKey(account.id, item.productId, item.offerId));
+      const reservedUntil = item.reservedUntil || reservation?.expiresAt || null;
+      return {
+        ...item,
+        title: item.title || reservation?.title || monitoredProducts.get(item.productId)?.productInfo.title || `Produit ${item.productId}`,
+        size: item.size || reservation?.size || monitoredProducts.get(item.productId)?.sizeMapping[item.offerId]?.size || item.offerId,
+        reservedUntil,
+        remainingSeconds: reservedUntil ? Math.max(0, Math.round((Date.parse(reservedUntil) - Date.now()) / 1000)) : null
+      };
     });
     
-    // Save to history
-    addToHistory(productId, productInfo, sizeMapping);
-
-    startMonitoring();
-
-    res.json({ 
-      success: true, 
-      message: `Now monitoring product ${productId}`,
-      watchedSizes: watchedSizes.map(id => sizeMapping[id]?.size || id),
-      alreadyInStock
+    res.json({
+      accountId: account.id,
+      items,
+      totals: {
+        quantity: items.reduce((sum, item) => sum + item.quantity, 0),
+        amount: Math.round(cart.totalAmount * 100) / 100
+      },
+      checkoutUrl: CONFIG.checkoutUrl
     });
   } catch (error) {
-    console.error(`[${getTimestamp()}] Add product error:`, error.message);
-    
-    const errorMsg = error.message.toLowerCase();
-    if (errorMsg.includes('unauthorized') || errorMsg.includes('401') || errorMsg.includes('403')) {
-      sendTokenExpiredNotification(error.message);
+    handleCartError(account, error, res);
+  }
+});
+
+// Change a line's quantity: { quantity, accountId }
+app.patch('/api/cart/:item', async (req, res) => {
+  const account = getRequestAccount(req, res);
+  if (!account) return;
+  
+  const item = parseCartItemId(req.params.item);
+  const quantity = Number(req.body.quantity);
+  if (!item) {
+    return res.status(400).json({ error: 'Cart item id must be productId:offerId' });
+  }
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    return res.status(400).json({ error: 'quantity must be a non-negative integer' });
+  }
+  
+  try {
+    const result = await updateCartItem(item.productId, item.offerId, quantity, account);
+    if (!result.success) {
+      return res.status(409).json({ error: result.message || 'Cart update failed' });
     }
-    
-    res.status(500).json({ error: error.message });
+    if (quantity === 0) {
+      cartReservations.delete(reservationKey(account.id, item.productId, item.offerId));
+      scheduleSave();
+    }
+    res.json({ success: true, update: result.update });
+  } catch (error) {
+    handleCartError(account, error, res);
   }
 });
 
-app.delete('/api/products/:key', (req, res) => {
-  const { key } = req.params;
+app.delete('/api/cart/:item', async (req, res) => {
+  const account = getRequestAccount(req, res);
+  if (!account) return;
   
-  if (monitoredProducts.has(key)) {
-    monitoredProducts.delete(key);
-    
-    if (monitoredProducts.size === 0) {
-      stopMonitoring();
+  const item = parseCartItemId(req.params.item);
+  if (!item) {
+    return res.status(400).json({ error: 'Cart item id must be productId:offerId' });
+  }
+  
+  try {
+    const result = await updateCartItem(item.productId, item.offerId, 0, account);
+    if (!result.success) {
+      return res.status(409).json({ error: result.message || 'Cart update failed' });
     }
-    
-    res.json({ success: true, message: 'Product removed' });
-  } else {
-    res.status(404).json({ error: 'Product not found' });
+    cartReservations.delete(reservationKey(account.id, item.productId, item.offerId));
+    scheduleSave();
+    res.json({ success: true, message: 'Item removed from cart' });
+  } catch (error) {
+    handleCartError(account, error, res);
   }
 });
 
-app.post('/api/products/:key/reset', (req, res) => {
-  const { key } = req.params;
-  
-  if (!monitoredProducts.has(key)) {
-    return res.status(404).json({ error: 'Product not found' });
+// Reservations tracked by the keeper, soonest deadline first
+app.get('/api/cart/reservations', (req, res) => {
+  const reservations = Array.from(cartReservations.values())
+    .filter(reservation => !req.query.accountId || reservation.accountId === req.query.accountId)
+    .sort((a, b) => Date.parse(a.expiresAt) - Date.parse(b.expiresAt))
+    .map(reservation => ({
+      ...reservation,
+      remainingSeconds: Math.max(0, Math.round((Date.parse(reservation.expiresAt) - Date.now()) / 1000))
+    }));
+  res.json({
+    reservations,
+    reminderMinutes: CONFIG.cartReminderMinutes,
+    reholdMax: CONFIG.cartReholdMax
+  });
+});
+
+// Add-to-cart audit trail, newest first, with a per-product summary of
+// the matching attempts. Filters: productId, offerId, accountId, trigger,
+// success (true/false), since (ISO date) and limit (default 50).
+app.get('/api/cart/attempts', (req, res) => {
+  const { productId, offerId, accountId, trigger, since } = req.query;
+  if (req.query.success !== undefined && !['true', 'false'].includes(req.query.success)) {
+    return res.status(400).json({ error: 'success must be true or false' });
   }
-  
-  const product = monitoredProducts.get(key);
-  product.notified.clear();
-  
-  res.json({ success: true, message: 'Notifications reset' });
+  if (since && Number.isNaN(Date.parse(since))) {
+    return res.status(400).json({ error: 'since must be an ISO date' });
+  }
+  const success = req.query.success === undefined ? undefined : req.query.success === 'true';
+  const filters = { productId, offerId, accountId, trigger, success, since };
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+  res.json({
+    attempts: cartAttempts.list({ ...filters, limit }),
+    summary: cartAttempts.summarize(filters),
+    total: cartAttempts.size()
+  });
 });
 
 // ============== HISTORY API ==============
@@ -693,6 +3880,9 @@ app.get('/api/history', (req, res) => {
       productId: item.productId,
       title: item.title,
       label: item.label,
+      brand: item.brand || null,
+      imageUrl: item.imageUrl || null,
+      sale: item.sale || null,
       sizeMapping: item.sizeMapping,
       addedAt: item.addedAt,
       lastMonitored: item.lastMonitored,
@@ -707,6 +3897,7 @@ app.get('/api/history', (req, res) => {
 // Clear history
 app.delete('/api/history', (req, res) => {
   productHistory.clear();
+  scheduleSave();
   res.json({ success: true, message: 'History cleared' });
 });
 
@@ -715,40 +3906,721 @@ app.delete('/api/history/:productId', (req, res) => {
   const { productId } = req.params;
   if (productHistory.has(productId)) {
     productHistory.delete(productId);
+    scheduleSave();
     res.json({ success: true, message: 'Item removed from history' });
   } else {
     res.status(404).json({ error: 'Item not found in history' });
   }
 });
 
-// Update headers/auth
-app.post('/api/config/headers', (req, res) => {
-  const { headers, token, clientNum, crm } = req.body;
+// Shared by the two header routes: diff of the request headers the account
+// would send, then (unless previewing) apply and probe the new credentials
+async function importCredentials(res, account, credentials, { preview = false } = {}) {
+  const result = await applyCredentials(account, credentials, { preview, via: 'API' });
+  if (preview) {
+    return res.json({ preview: true, ...result });
+  }
+  res.json({ success: true, message: 'Config updated', ...result });
+}
+
+// What the credentials change in the account's headers, applied (then
+// checked against the API) unless preview is set
+async function applyCredentials(account, { capture, token, clientNum, crm }, { preview = false, via }) {
+  const changes = { customHeaders: capture?.headers, token, clientNum, crm };
+  const candidate = { ...account };
+  updateAccountCredentials(candidate, changes);
+  const result = {
+    format: capture?.format || null,
+    request: capture?.request || null,
+    missing: capture?.missing || [],
+    diff: diffHeaders(getDefaultHeaders(account), getDefaultHeaders(candidate))
+  };
+  if (preview) {
+    return result;
+  }
   
-  if (headers) {
-    CONFIG.customHeaders = parseHeadersFromEnv(headers);
-    console.log(`[${getTimestamp()}] Custom headers updated via API`);
+  const updated = updateAccountCredentials(account, changes);
+  if (updated.length > 0) {
+    const source = capture && capture.format !== 'raw' ? ` (from ${capture.format})` : '';
+    logger.info(`Account ${account.id}: ${updated.join(', ')} updated via ${via}${source}`, { event: 'credentials_updated', account: account.id });
   }
   
-  if (token) {
-    CONFIG.token = token;
-    console.log(`[${getTimestamp()}] Token updated via API`);
+  scheduleSave();
+  const authStatus = updated.length > 0 ? await probeAccountAuth(account) : describeAuth(account);
+  return { ...result, auth: authStatus };
+}
+
+// Update headers/auth: `headers` is a raw block, cURL command(s) or a HAR
+// export; `preview: true` only returns what would change
+app.post('/api/config/headers', async (req, res) => {
+  const { accountId = DEFAULT_ACCOUNT_ID, preview = false } = req.body;
+  
+  if (!accounts.has(accountId)) {
+    return res.status(404).json({ error: 'Account not found' });
   }
   
-  if (clientNum) {
-    CONFIG.clientNum = clientNum;
-    console.log(`[${getTimestamp()}] Client num updated via API`);
+  let capture = null;
+  try {
+    capture = req.body.headers ? parseCapture(req.body.headers) : null;
+  } catch (parseError) {
+    return res.status(400).json({ error: parseError.message });
   }
   
-  if (crm) {
-    CONFIG.crm = crm;
-    console.log(`[${getTimestamp()}] CRM updated via API`);
+  await importCredentials(res, accounts.get(accountId), { ...req.body, capture }, { preview });
+});
+
+// Capture file upload (HAR or mitmproxy flow dump) sent as the raw body;
+// ?accountId=...&preview=true
+app.post('/api/config/headers/import', async (req, res) => {
+  const accountId = req.query.accountId || DEFAULT_ACCOUNT_ID;
+  
+  if (!accounts.has(accountId)) {
+    return res.status(404).json({ error: 'Account not found' });
+  }
+  
+  let capture;
+  try {
+    capture = parseCapture(Buffer.isBuffer(req.body) ? req.body : '');
+  } catch (parseError) {
+    return res.status(400).json({ error: parseError.message });
+  }
+  
+  await importCredentials(res, accounts.get(accountId), { capture }, { preview: req.query.preview === 'true' });
+});
+
+// ============== WATCHLIST API ==============
+
+function exportedHistory() {
+  return Array.from(productHistory.values()).map(item => ({ ...item }));
+}
+
+// ?format=json (default): products, rules and history; ?format=csv: products only
+app.get('/api/export', (req, res) => {
+  const entries = Array.from(monitoredProducts.values()).map(toWatchEntry);
+  const date = new Date().toISOString().slice(0, 10);
+
+  if (req.query.format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="watchlist-${date}.csv"`);
+    return res.send(entriesToCsv(entries));
+  }
+  if (req.query.format && req.query.format !== 'json') {
+    return res.status(400).json({ error: 'format must be json or csv' });
+  }
+
+  res.set('Content-Disposition', `attachment; filename="watchlist-${date}.json"`);
+  res.json({
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    products: entries,
+    history: exportedHistory()
+  });
+});
+
+// JSON body: an export ({ products, history }) or a bare products array,
+// plus optional accountId / overwrite. CSV: text/csv body, options in the
+// query string. accountId replaces the accounts listed in the entries.
+app.post('/api/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  const isCsv = typeof req.body === 'string';
+  const body = isCsv ? {} : Array.isArray(req.body) ? { products: req.body } : req.body;
+  const accountId = body.accountId || req.query.accountId || null;
+  const overwrite = body.overwrite === true || req.query.overwrite === 'true';
+
+  let items;
+  try {
+    if (accountId) resolveAccountIds({ accountId });
+    if (isCsv) {
+      items = csvToEntries(req.body);
+    } else {
+      if (body.products !== undefined && !Array.isArray(body.products)) {
+        throw new Error('products must be an array');
+      }
+      if (body.history !== undefined && !Array.isArray(body.history)) {
+        throw new Error('history must be an array');
+      }
+      items = (body.products || []).map((entry, index) => ({ index, entry }));
+    }
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  if (accountId) {
+    items = items.map(item => ({ ...item, entry: { ...item.entry, accountIds: undefined, accountId } }));
+  }
+
+  // History entries are only added, never replace what is already known
+  let historyImported = 0;
+  for (const item of body.history || []) {
+    const productId = item?.productId ? String(item.productId) : null;
+    if (!productId || productHistory.has(productId)) continue;
+    productHistory.set(productId, {
+      productId,
+      title: item.title || `Produit ${productId}`,
+      label: item.label,
+      brand: item.brand || null,
+      imageUrl: item.imageUrl || null,
+      sale: item.sale || null,
+      sizeMapping: item.sizeMapping || {},
+      addedAt: item.addedAt || new Date().toISOString(),
+      lastMonitored: item.lastMonitored || item.addedAt || new Date().toISOString()
+    });
+    historyImported++;
+  }
+  if (historyImported > 0) {
+    scheduleSave();
+  }
+
+  const summary = await watchEntries(items, {}, { overwrite });
+  res.json({ success: true, format: isCsv ? 'csv' : 'json', ...summary, historyImported });
+});
+
+// ============== ACCOUNTS API ==============
+
+app.get('/api/accounts', (req, res) => {
+  res.json({ accounts: Array.from(accounts.values()).map(describeAccount) });
+});
+
+// Create or update an account: { id, name, owner, mention, channels, headers | token, clientNum, crm }
+app.post('/api/accounts', async (req, res) => {
+  const { id, name, owner, mention, channels } = req.body;
+  
+  if (!id || !/^[a-z0-9_-]+$/i.test(id)) {
+    return res.status(400).json({ error: 'id is required (letters, digits, - and _)' });
+  }
+  if (channels !== undefined && !Array.isArray(channels)) {
+    return res.status(400).json({ error: 'channels must be an array of channel names' });
+  }
+  const unknownChannels = (channels || []).filter(channel => !notificationConfig.instances.has(channel));
+  if (unknownChannels.length > 0) {
+    return res.status(400).json({ error: `Unknown channel(s): ${unknownChannels.join(', ')}` });
+  }
+  
+  let customHeaders;
+  let mentions;
+  try {
+    customHeaders = req.body.headers ? parseCapture(req.body.headers).headers : undefined;
+    // Same format as policy mentions, stored ready to prepend to alerts
+    mentions = mention === undefined ? undefined : parseMentions(mention).join(' ');
+  } catch (parseError) {
+    return res.status(400).json({ error: parseError.message });
+  }
+  
+  const isNew = !accounts.has(id);
+  const account = accounts.get(id) || createAccount({ id });
+  if (name !== undefined) account.name = name || id;
+  if (owner !== undefined) account.owner = owner;
+  if (mentions !== undefined) account.mention = mentions;
+  if (channels !== undefined) account.channels = channels;
+  const updated = updateAccountCredentials(account, { ...req.body, customHeaders });
+  accounts.set(id, account);
+  
+  logger.info(`Account ${id} ${isNew ? 'created' : 'updated'} via API`, { event: 'account_saved', account: id });
+  scheduleSave();
+  if (updated.length > 0) {
+    await probeAccountAuth(account);
+  }
+  res.json({ success: true, account: describeAccount(account) });
+});
+
+app.delete('/api/accounts/:id', (req, res) => {
+  const { id } = req.params;
+  
+  if (id === DEFAULT_ACCOUNT_ID) {
+    return res.status(400).json({ error: 'The default account cannot be removed' });
+  }
+  if (!accounts.has(id)) {
+    return res.status(404).json({ error: 'Account not found' });
+  }
+  
+  const inUse = Array.from(monitoredProducts.values()).filter(product => product.accountIds.includes(id));
+  if (inUse.length > 0) {
+    return res.status(409).json({
+      error: 'Account is assigned to monitored products',
+      products: inUse.map(product => product.productId)
+    });
+  }
+  const collectionsInUse = Array.from(watchedCollections.values()).filter(collection => collection.accountIds.includes(id));
+  if (collectionsInUse.length > 0) {
+    return res.status(409).json({
+      error: 'Account is assigned to watched collections',
+      collections: collectionsInUse.map(collection => collection.key)
+    });
+  }
+  
+  accounts.delete(id);
+  scheduleSave();
+  res.json({ success: true, message: 'Account removed' });
+});
+
+// ============== NOTIFICATION CONFIG API ==============
+
+app.get('/api/config/notifications', (req, res) => {
+  res.json({
+    channels: notificationConfig.channels.map(redactChannel),
+    routes: notificationConfig.routes,
+    eventTypes: EVENT_TYPES,
+    source: notificationConfig.source,
+    policy: notificationConfig.policy,
+    policySource: notificationConfig.policySource
+  });
+});
+
+// Replace channels and routes: { channels: [{ name, type, ... }], routes: { stock: ['discord'] } }
+app.post('/api/config/notifications', (req, res) => {
+  const { channels, routes = {} } = req.body;
+  
+  if (!Array.isArray(channels)) {
+    return res.status(400).json({ error: 'channels array is required' });
   }
   
-  resetTokenExpiredFlag();
-  res.json({ success: true, message: 'Config updated' });
+  try {
+    configureNotifications(channels, routes, 'api');
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  logger.info(`Notification channels updated via API (${channels.length} channel(s))`, { event: 'config' });
+  scheduleSave();
+  res.json({ success: true, channels: channels.map(redactChannel), routes });
+});
+
+// Body: { policy } applied to every notification (see lib/policies.js); null removes it
+app.put('/api/config/notifications/policy', (req, res) => {
+  try {
+    notificationConfig.policy = parseNotificationPolicy(req.body.policy);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  notificationConfig.policySource = 'api';
+  logger.info('Notification policy updated via API', { event: 'config' });
+  scheduleSave();
+  res.json({ success: true, policy: notificationConfig.policy });
+});
+
+// Alerts collected for the next daily digest
+app.get('/api/notifications/digest', (req, res) => {
+  res.json({ items: digest.list(), nextDigestAt: nextDigestAt() });
+});
+
+// Send the digest now instead of waiting for CONFIG.digestTime
+app.post('/api/notifications/digest/send', async (req, res) => {
+  const alerts = digest.size();
+  const deliveries = await sendDigest();
+  res.json({ success: true, alerts, deliveries: deliveries.map(d => d.id) });
+});
+
+// Send a test message to one channel, or to the channels routed for an event
+app.post('/api/notifications/test', async (req, res) => {
+  const { channel: channelName, event = 'stock' } = req.body;
+  
+  const message = {
+    content: "🧪 **Test de notification**",
+    embed: {
+      title: "🧪 TEST",
+      color: 0x9c27b0,
+      description: `Événement: ${event}`,
+      footer: { text: "Showroomprivé Monitor" },
+      timestamp: new Date().toISOString()
+    }
+  };
+  
+  if (channelName) {
+    if (!notificationConfig.instances.has(channelName)) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+    const delivery = deliveryQueue.enqueue(channelName, event, message);
+    return res.json({ success: true, deliveries: [delivery.id] });
+  }
+  
+  if (!EVENT_TYPES.includes(event)) {
+    return res.status(400).json({ error: `Unknown event type: ${event}` });
+  }
+  const deliveries = await notify(event, message);
+  res.json({ success: deliveries.length > 0, deliveries: deliveries.map(d => d.id) });
+});
+
+// ============== DELIVERY LOG API ==============
+
+// Query: status, channel, event, limit (default 50)
+app.get('/api/notifications', (req, res) => {
+  const { status, channel, event } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  
+  const notifications = deliveryQueue.list({ status, channel, event, limit }).map(entry => ({
+    id: entry.id,
+    channel: entry.channel,
+    event: entry.event,
+    title: entry.title,
+    status: entry.status,
+    attempts: entry.attempts,
+    lastError: entry.lastError,
+    createdAt: entry.createdAt,
+    nextAttemptAt: entry.nextAttemptAt,
+    sentAt: entry.sentAt,
+    resendOf: entry.resendOf
+  }));
+  
+  res.json({ notifications, stats: deliveryQueue.stats() });
+});
+
+app.get('/api/notifications/:id', (req, res) => {
+  const entry = deliveryQueue.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Notification not found' });
+  }
+  res.json(entry);
+});
+
+app.post('/api/notifications/:id/resend', (req, res) => {
+  const entry = deliveryQueue.resend(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Notification not found' });
+  }
+  res.json({ success: true, id: entry.id });
+});
+
+// ============== LOGS API ==============
+
+// Recent log entries, oldest first. Filters: level (minimum), productId,
+// offerId, account, event, q (text search), since/until (ISO dates),
+// after (entry id, to continue a tail) and limit.
+app.get('/api/logs', (req, res) => {
+  const { level, productId, offerId, account, event, q, since, until, after } = req.query;
+  if (level && !logger.levels.includes(level)) {
+    return res.status(400).json({ error: `level must be one of: ${logger.levels.join(', ')}` });
+  }
+  for (const [name, value] of Object.entries({ since, until })) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      return res.status(400).json({ error: `${name} must be an ISO date` });
+    }
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 200, CONFIG.logBufferSize);
+
+  res.json({
+    logs: logger.list({ level, productId, offerId, account, event, q, since, until, after, limit }),
+    level: CONFIG.logLevel,
+    bufferSize: CONFIG.logBufferSize
+  });
+});
+
+// ============== DISCORD INTERACTIONS ==============
+// Slash commands and alert buttons (see lib/discord.js), enabled by
+// DISCORD_PUBLIC_KEY. The endpoint sits outside /api: Discord cannot log
+// in, its signature is checked instead. /list and /stock are open to
+// everyone in the server; the rest (including /headers, which replaces
+// account credentials) to the users and roles in DISCORD_ALLOWED_IDS
+// only, and to nobody while it is unset.
+
+const discordPublicKey = CONFIG.discordPublicKey ? discord.parsePublicKey(CONFIG.discordPublicKey) : null;
+
+const READ_ONLY_COMMANDS = ['list', 'stock'];
+
+const AUTH_STATE_LABELS = { valid: '✅ token valide', expiring: '⏳ token bientôt expiré', expired: '❌ token refusé' };
+
+function canManageFromDiscord(interaction) {
+  if (CONFIG.discordAllowedIds.length === 0) return false;
+  const user = discord.interactionUser(interaction);
+  return CONFIG.discordAllowedIds.includes(user.id) || user.roles.some(role => CONFIG.discordAllowedIds.includes(role));
+}
+
+// "Retry cart" (sizes not carted) and "stop watching" buttons for a restock alert
+function restockButtons(product, outcomes) {
+  if (!discordPublicKey || CONFIG.discordAllowedIds.length === 0) return [];
+  return discord.buttonRows(outcomes.map(outcome => [
+    ...(outcome.status === 'carted' ? [] : [{ label: `🛒 Réessayer ${outcome.size}`, customId: `cart:${product.productId}:${outcome.offerId}`, style: 'primary' }]),
+    { label: `🔕 Ne plus suivre ${outcome.size}`, customId: `unwatch:${product.productId}:${outcome.offerId}` }
+  ]));
+}
+
+// Product id from a URL or an id typed in a command
+function productIdFromInput(input) {
+  const value = String(input || '').trim();
+  const productId = /^\d+$/.test(value) ? value : parseProductUrl(value);
+  if (!productId) {
+    throw new Error('A product ID or Showroomprivé product URL is required');
+  }
+  return productId;
+}
+
+function monitoredFromInput(input) {
+  const key = productIdFromInput(input);
+  const product = monitoredProducts.get(key);
+  if (!product) {
+    throw new Error(`Product ${key} is not monitored`);
+  }
+  return { key, product };
+}
+
+function productTitle(product) {
+  return product.productInfo?.title || `Produit ${product.productId}`;
+}
+
+// "**Title** (`id`) — M ✅ 3 · L ❌" line of /list
+function productListLine(key, product) {
+  const sizes = product.pending
+    ? `🕒 en attente : ${product.pending.entry.watchedSizes?.join(', ') || 'taille unique'}`
+    : Array.from(product.watchedSizes).map(offerId => {
+      const available = product.previousStock[offerId]?.available || 0;
+      return `${product.sizeMapping[offerId]?.size || offerId} ${available > 0 ? `✅ ${available}` : '❌'}`;
+    }).join(' · ');
+  const paused = productPauseReason(product) ? ' ⏸️' : '';
+  return `**${productTitle(product)}** (\`${key}\`)${paused} — ${sizes}`;
+}
+
+// Handlers return { response } or, for slower work, { response, work }
+// where work resolves to the follow-up message data
+function answered(response) {
+  return { response };
+}
+
+function deferred(work) {
+  return { response: discord.deferredReply(), work };
+}
+
+const discordCommands = {
+  watch: ({ url, sizes, max_price: maxPrice, account }) => deferred(async () => {
+    const productId = productIdFromInput(url);
+    const result = await watchEntry({
+      productId,
+      watchedSizes: String(sizes).split(/[\s,]+/).filter(Boolean),
+      maxPrice,
+      accountId: account
+    });
+    const title = productTitle(monitoredProducts.get(productId));
+    const inStock = result.alreadyInStock.length > 0 ? `\nDéjà en stock : ${result.alreadyInStock.join(', ')}` : '';
+    return { content: `👀 Surveillance de **${title}** : ${result.watchedSizes.join(', ')}${inStock}` };
+  }),
+
+  unwatch: ({ product: input, size }) => {
+    const { key, product } = monitoredFromInput(input);
+    if (!size) {
+      unwatchProduct(key);
+      return answered(discord.reply(`🗑️ **${productTitle(product)}** n'est plus surveillé`));
+    }
+    if (product.pending) {
+      throw new Error('This product is waiting for its launch: remove it entirely');
+    }
+    const offers = Object.entries(product.sizeMapping).map(([offerId, info]) => ({ offerId, label: info.size }));
+    const offerId = resolveOfferId(offers, size);
+    if (!product.watchedSizes.has(offerId)) {
+      throw new Error(`Size ${size} is not watched`);
+    }
+    unwatchSize(key, offerId);
+    return answered(discord.reply(`🔕 Taille ${product.sizeMapping[offerId]?.size || offerId} de **${productTitle(product)}** retirée`));
+  },
+
+  list: () => {
+    if (monitoredProducts.size === 0) {
+      return answered(discord.reply('Aucun produit surveillé'));
+    }
+    const lines = Array.from(monitoredProducts, ([key, product]) => productListLine(key, product));
+    let description = '';
+    for (const [i, line] of lines.entries()) {
+      // Embed descriptions are limited to 4096 characters
+      if (description.length + line.length > 3900) {
+        description += `\n… et ${lines.length - i} autre(s)`;
+        break;
+      }
+      description += `${description ? '\n' : ''}${line}`;
+    }
+    return answered(discord.reply('', {
+      embeds: [{ title: `👀 ${monitoredProducts.size} produit(s) surveillé(s)`, color: 0x9c27b0, description }]
+    }));
+  },
+
+  stock: ({ url, account }) => deferred(async () => {
+    const productId = productIdFromInput(url);
+    const [accountId] = resolveAccountIds({ accountId: account });
+    const stockData = await getProductStock(productId, getAccount(accountId));
+    const monitored = monitoredProducts.get(productId);
+    const productInfo = monitored?.productInfo || { title: stockData.label };
+    const lines = (stockData.offers || []).map(offer => {
+      const watched = monitored?.watchedSizes.has(String(offer.offerId)) ? ' 👀' : '';
+      const availability = offer.available > 0 ? `✅ ${offer.available} dispo` : '❌ épuisé';
+      return `**${offer.label}**${watched} — ${availability} — ${formatOfferPrice(productInfo, offer.price)}`;
+    });
+    return {
+      content: '',
+      embeds: [{
+        title: productHeadline({ ...productInfo, title: productInfo.title || `Produit ${productId}` }),
+        url: `https://www.showroomprive.com/link/product/${productId}`,
+        color: 0x9c27b0,
+        ...productThumbnail(productInfo),
+        description: lines.join('\n') || 'Aucune taille',
+        timestamp: new Date().toISOString()
+      }]
+    };
+  }),
+
+  reset: ({ product: input }) => {
+    const { key, product } = monitoredFromInput(input);
+    resetProduct(key);
+    return answered(discord.reply(`🔄 Alertes et budget de **${productTitle(product)}** réinitialisés`));
+  },
+
+  // Headers are pasted in a modal: command options are single-line
+  headers: ({ account = DEFAULT_ACCOUNT_ID }) => {
+    if (!accounts.has(account)) {
+      throw new Error(`Unknown account: ${account}`);
+    }
+    return answered(discord.textModal(`headers:${account}`, `Headers — ${accounts.get(account).name}`.slice(0, 45), {
+      inputId: 'headers',
+      label: 'Headers ou commande cURL',
+      placeholder: 'token: ...\nclient_num: ...\ncrm: ...'
+    }));
+  }
+};
+
+const discordButtons = {
+  cart: ([key, offerId]) => deferred(async () => {
+    const product = monitoredProducts.get(key);
+    if (!product) {
+      throw new Error(`Product ${key} is not monitored`);
+    }
+    const stockData = await getProductStock(product.productId, getProductAccounts(product)[0]);
+    const offer = (stockData.offers || []).find(candidate => String(candidate.offerId) === offerId);
+    const size = product.sizeMapping[offerId]?.size || offer?.label || offerId;
+    if (!offer || offer.available <= 0) {
+      return { content: `❌ ${size} n'est plus en stock` };
+    }
+    const results = await addToCartForAccounts(product, offerId, { available: offer.available, label: offer.label, price: offer.price }, { trigger: 'discord' });
+    markFulfilledIfCarted(product, results);
+    scheduleSave();
+    publishProduct(key);
+    const lines = results.map(result => {
+      const name = result.account.name;
+      if (result.success) return `✅ ${name} : ${size} ×${result.quantity} ajouté au panier`;
+      if (result.skipped) return `⏭️ ${name} : ${RESTOCK_SKIP_REASONS[result.skipped] || result.skipped}`;
+      return `❌ ${name} : ${result.message || 'échec panier'}`;
+    });
+    return { content: lines.join('\n') };
+  }),
+
+  unwatch: ([key, offerId]) => {
+    const product = monitoredProducts.get(key);
+    if (!product || !product.watchedSizes.has(offerId)) {
+      return answered(discord.reply('Cette taille n\'est déjà plus surveillée'));
+    }
+    const size = product.sizeMapping[offerId]?.size || offerId;
+    unwatchSize(key, offerId);
+    return answered(discord.reply(`🔕 Taille ${size} de **${productTitle(product)}** retirée`));
+  }
+};
+
+const discordModals = {
+  headers: ([accountId], values) => deferred(async () => {
+    const account = accounts.get(accountId);
+    if (!account) {
+      throw new Error(`Unknown account: ${accountId}`);
+    }
+    const result = await applyCredentials(account, { capture: parseCapture(values.headers || '') }, { via: 'Discord' });
+    const missing = result.missing.length > 0 ? `\n⚠️ Manquant : ${result.missing.join(', ')}` : '';
+    return {
+      content: `🔑 Compte **${account.name}** : ${result.diff.length} header(s) modifié(s) · ${AUTH_STATE_LABELS[result.auth.state] || result.auth.state}${missing}`
+    };
+  })
+};
+
+function notAllowedMessage(what) {
+  return CONFIG.discordAllowedIds.length === 0
+    ? `⛔ Personne n'est autorisé à ${what} : définissez DISCORD_ALLOWED_IDS`
+    : `⛔ Vous n'êtes pas autorisé à ${what}`;
+}
+
+function handleInteraction(interaction) {
+  const { INTERACTION_TYPES } = discord;
+  if (interaction.type === INTERACTION_TYPES.APPLICATION_COMMAND) {
+    const name = interaction.data?.name;
+    const handler = discordCommands[name];
+    if (!handler) throw new Error(`Unknown command: ${name}`);
+    if (!READ_ONLY_COMMANDS.includes(name) && !canManageFromDiscord(interaction)) {
+      return answered(discord.reply(notAllowedMessage('utiliser cette commande')));
+    }
+    return handler(discord.commandOptions(interaction));
+  }
+
+  const { action, args } = discord.parseCustomId(interaction.data?.custom_id);
+  const handlers = interaction.type === INTERACTION_TYPES.MESSAGE_COMPONENT ? discordButtons
+    : interaction.type === INTERACTION_TYPES.MODAL_SUBMIT ? discordModals
+      : null;
+  if (!handlers || !handlers[action]) {
+    throw new Error(`Unsupported interaction: ${interaction.type} ${interaction.data?.custom_id || ''}`);
+  }
+  if (!canManageFromDiscord(interaction)) {
+    return answered(discord.reply(notAllowedMessage('faire cette action')));
+  }
+  return handlers[action](args, discord.modalValues(interaction));
+}
+
+function interactionFields(interaction) {
+  const user = discord.interactionUser(interaction);
+  return {
+    event: 'discord_interaction',
+    interaction: interaction.data?.name || interaction.data?.custom_id,
+    discordUser: user.name || user.id
+  };
+}
+
+// Follow-up of a deferred interaction; failures are reported in it too
+async function completeInteraction(interaction, work) {
+  let data;
+  try {
+    data = await work();
+  } catch (error) {
+    logger.warn('Discord interaction failed', { ...interactionFields(interaction), error });
+    data = { content: `❌ ${error.message}` };
+  }
+  try {
+    await discord.sendFollowup(CONFIG.discordApiUrl, interaction, { ...data, flags: discord.EPHEMERAL_FLAG });
+  } catch (error) {
+    logger.error('Discord follow-up failed', { ...interactionFields(interaction), error });
+  }
+}
+
+app.post('/discord/interactions', (req, res) => {
+  if (!discordPublicKey) {
+    return res.status(404).json({ error: 'Discord interactions are not configured' });
+  }
+  const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  const valid = discord.verifyInteraction(discordPublicKey, {
+    signature: req.get('X-Signature-Ed25519'),
+    timestamp: req.get('X-Signature-Timestamp'),
+    body
+  });
+  if (!valid) {
+    return res.status(401).json({ error: 'Invalid request signature' });
+  }
+
+  let interaction;
+  try {
+    interaction = JSON.parse(body.toString('utf8'));
+  } catch (parseError) {
+    return res.status(400).json({ error: 'Invalid JSON body' });
+  }
+  if (interaction.type === discord.INTERACTION_TYPES.PING) {
+    return res.json({ type: discord.RESPONSE_TYPES.PONG });
+  }
+
+  let result;
+  try {
+    result = handleInteraction(interaction);
+  } catch (error) {
+    logger.warn('Discord interaction refused', { ...interactionFields(interaction), error });
+    return res.json(discord.reply(`❌ ${error.message}`));
+  }
+  logger.info(`Discord ${interaction.data?.name ? `/${interaction.data.name}` : interaction.data?.custom_id}`, interactionFields(interaction));
+  res.json(result.response);
+  if (result.work) {
+    completeInteraction(interaction, result.work);
+  }
 });
 
+// ============== LIVE EVENTS API ==============
+
+// Server-Sent Events stream: stock, product, product_removed, cart,
+// notification, auth, collection, collection_removed and log events.
+// Replays missed events on reconnect.
+app.get('/api/events', events.handler);
+
 app.get('/', (req, res) => {
   res.sendFile(__dirname + '/public/index.html');
 });
@@ -763,13 +4635,36 @@ app.get('/health', (req, res) => {
     status: 'alive',
     uptime: `${hours}h ${minutes}m ${seconds}s`,
     uptimeSeconds: uptime,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// /health only tells liveness to anyone; account and monitoring details
+// need the viewer role like the rest of the API
+app.get('/api/status', (req, res) => {
+  res.json({
     monitoredProducts: monitoredProducts.size,
-    isMonitoring: !!monitoringInterval,
-    hasAuth: !!(CONFIG.token || Object.keys(CONFIG.customHeaders).length > 0),
+    isMonitoring: scheduler.isRunning(),
+    upstream: srpClient.getStatus(),
+    hasAuth: accountHasAuth(getAccount(DEFAULT_ACCOUNT_ID)),
+    auth: describeAuth(getAccount(DEFAULT_ACCOUNT_ID)),
+    accounts: Array.from(accounts.values()).map(account => ({
+      id: account.id,
+      hasAuth: accountHasAuth(account),
+      tokenExpired: account.tokenExpired,
+      auth: describeAuth(account)
+    })),
     timestamp: new Date().toISOString()
   });
 });
 
+// Prometheus scrape endpoint; when access control is enabled it needs a
+// viewer API key ("Authorization: Bearer <key>") like the read-only API
+app.get('/metrics', requireAuth, (req, res) => {
+  res.set('Content-Type', metricsRegistry.contentType);
+  res.send(metricsRegistry.render());
+});
+
 app.get('/ping', (req, res) => {
   res.send('pong');
 });
@@ -777,43 +4672,84 @@ app.get('/ping', (req, res) => {
 // Test endpoints
 app.post('/api/test/stock', async (req, res) => {
   try {
-    const { productId } = req.body;
+    const { productId, accountId } = req.body;
     if (!productId) {
       return res.status(400).json({ error: 'productId is required' });
     }
-    const data = await getProductStock(productId);
+    const data = await getProductStock(productId, getAccount(accountId));
     res.json({ success: true, data });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendApiError(res, error);
   }
 });
 
 app.post('/api/test/addtocart', async (req, res) => {
   try {
-    const { productId, sizeId } = req.body;
+    const { productId, sizeId, accountId } = req.body;
     if (!productId || !sizeId) {
       return res.status(400).json({ error: 'productId and sizeId are required' });
     }
-    const result = await addToCart(productId, sizeId);
-    res.json({ success: result.success, result });
+    const account = getAccount(accountId);
+    const product = monitoredProducts.get(String(productId)) || { productId: String(productId), productInfo: {}, sizeMapping: {} };
+    const { attempt, ...result } = await attemptCart({
+      productId,
+      title: product.productInfo?.title,
+      offerId: sizeId,
+      size: product.sizeMapping?.[sizeId]?.size,
+      quantity: 1
+    }, account, { trigger: 'test' });
+    if (result.success) {
+      trackReservation(account, product, String(sizeId));
+    }
+    res.json({ success: result.success, result, attemptId: attempt.id });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendApiError(res, error);
   }
 });
 
 const serverStartTime = new Date();
 
+initNotifications();
+loadState();
+
+// Flush pending writes before Railway stops the container
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    saveStateNow();
+    process.exit(0);
+  });
+}
+
 app.listen(PORT, '0.0.0.0', () => {
-  console.log(`
-╔══════════════════════════════════════════════════════════════╗
-║  🛒 Showroomprivé Stock Monitor - Web Interface              ║
-║  Server running on port ${String(PORT).padEnd(37)} ║
-║  Started at: ${serverStartTime.toISOString().padEnd(48)} ║
-║  Health check: /health or /ping                              ║
-╚══════════════════════════════════════════════════════════════╝
-  `);
-  
-  if (!CONFIG.token && Object.keys(CONFIG.customHeaders).length === 0) {
-    console.log('⚠️ No auth configured - set SRP_HEADERS or SRP_TOKEN + SRP_CLIENT_NUM + SRP_CRM');
+  logger.info(`🛒 Showroomprivé Stock Monitor listening on port ${PORT}`, {
+    event: 'startup',
+    port: Number(PORT),
+    storage: storage.location || storage.name,
+    startedAt: serverStartTime.toISOString()
+  });
+  
+  if (!auth.enabled) {
+    logger.warn('⚠️ Web UI and API are not protected - set ADMIN_PASSWORD or API_KEYS', { event: 'startup' });
+  }
+
+  if (discordPublicKey && CONFIG.discordAllowedIds.length === 0) {
+    logger.warn('⚠️ DISCORD_ALLOWED_IDS is not set - only /list and /stock are available from Discord', { event: 'startup' });
   }
+  
+  if (!accountHasAuth(getAccount(DEFAULT_ACCOUNT_ID))) {
+    logger.warn('⚠️ No auth configured - set SRP_HEADERS or SRP_TOKEN + SRP_CLIENT_NUM + SRP_CRM', { event: 'startup' });
+  }
+  
+  if (monitoredProducts.size > 0) {
+    startMonitoring();
+  }
+  
+  if (watchedCollections.size > 0) {
+    collectionScheduler.start();
+  }
+  
+  startReservationKeeper();
+  startAuthProbe();
+  startPhaseWatcher();
+  startDigestTimer();
 });
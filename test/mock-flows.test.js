@@ -0,0 +1,306 @@
+// ============== END-TO-END FLOWS AGAINST THE MOCK ==============
+// Each suite boots scripts/mock-showroomprive.js and server.js on free
+// ports (memory storage, a local webhook as the only notification
+// channel) and drives them over HTTP:
+//   restock -> cart attempt -> delivery log entry
+//   401 -> account paused -> new headers -> resumed
+//   429 -> checks held back for Retry-After
+//   price below target -> cart attempt
+//   PATCH/DELETE /api/cart/:item -> checked against the cart read back
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const PRODUCT_ID = '38450594';
+const OFFER_M = '5014051'; // out of stock in the mock's demo product
+const OFFER_L = '5014052'; // in stock
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitFor(check, { timeoutMs = 10000, intervalMs = 100, what = 'condition' } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${what}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+function startProcess(script, env) {
+  const child = spawn(process.execPath, [script], {
+    cwd: ROOT,
+    env: { PATH: process.env.PATH, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.output = '';
+  child.stdout.on('data', chunk => { child.output += chunk; });
+  child.stderr.on('data', chunk => { child.output += chunk; });
+  return child;
+}
+
+function stopProcess(child) {
+  if (!child || child.exitCode !== null) return Promise.resolve();
+  return new Promise(resolve => {
+    child.once('exit', resolve);
+    child.kill();
+  });
+}
+
+// Local stand-in for the generic webhook channel
+function startWebhookSink() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      res.writeHead(204);
+      res.end();
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hook` }));
+  });
+}
+
+async function startStack() {
+  const sink = await startWebhookSink();
+  const mockPort = await freePort();
+  const botPort = await freePort();
+  const mock = startProcess('scripts/mock-showroomprive.js', { MOCK_PORT: String(mockPort) });
+  const bot = startProcess('server.js', {
+    PORT: String(botPort),
+    SRP_API_URL: `http://127.0.0.1:${mockPort}`,
+    SRP_TOKEN: 'mock-token',
+    SRP_MAX_RETRIES: '0',
+    STORAGE_DRIVER: 'memory',
+    AUTH_PROBE_MINUTES: '0',
+    CART_REMINDER_MINUTES: '0',
+    WEBHOOK_URL: sink.url,
+    LOG_LEVEL: 'warn'
+  });
+
+  const stack = {
+    mock,
+    bot,
+    sink,
+    mockUrl: `http://127.0.0.1:${mockPort}`,
+    botUrl: `http://127.0.0.1:${botPort}`,
+    async stop() {
+      await Promise.all([stopProcess(bot), stopProcess(mock)]);
+      await new Promise(resolve => sink.server.close(resolve));
+    }
+  };
+  try {
+    await waitFor(async () => (await request(stack.mockUrl, 'GET', '/__mock/state').catch(() => null))?.status === 200, { what: 'the mock to start' });
+    await waitFor(async () => (await request(stack.botUrl, 'GET', '/health').catch(() => null))?.status === 200, { what: 'the bot to start' });
+  } catch (error) {
+    await stack.stop();
+    throw new Error(`${error.message}\n--- mock ---\n${mock.output}\n--- bot ---\n${bot.output}`);
+  }
+  return stack;
+}
+
+async function request(baseUrl, method, urlPath, body) {
+  const response = await fetch(`${baseUrl}${urlPath}`, {
+    method,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    // /metrics is plain text
+  }
+  return { status: response.status, body: json, text };
+}
+
+function watchProduct(stack, watchedSizes) {
+  return request(stack.botUrl, 'POST', '/api/products/add', { productId: PRODUCT_ID, watchedSizes, intervalSeconds: 1 });
+}
+
+async function mockRequests(stack, pathPart) {
+  const { body } = await request(stack.mockUrl, 'GET', '/__mock/requests');
+  return body.filter(entry => entry.path.includes(pathPart));
+}
+
+describe('restock', () => {
+  let stack;
+  before(async () => { stack = await startStack(); });
+  after(() => stack?.stop());
+
+  it('carts the size that came back and logs the delivered alert', async () => {
+    const added = await watchProduct(stack, [OFFER_M]);
+    assert.equal(added.status, 200);
+    assert.deepEqual(added.body.alreadyInStock, []);
+
+    await request(stack.mockUrl, 'PATCH', `/__mock/products/${PRODUCT_ID}/offers/${OFFER_M}`, { available: 2 });
+
+    const attempt = await waitFor(async () => {
+      const { body } = await request(stack.botUrl, 'GET', '/api/cart/attempts?trigger=restock');
+      return body.attempts[0];
+    }, { what: 'the restock cart attempt' });
+    assert.equal(attempt.success, true);
+    assert.equal(attempt.offerId, OFFER_M);
+    assert.equal(attempt.quantity, 1);
+    assert.ok(Number.isFinite(attempt.detectionToCartMs));
+
+    const { body: mockState } = await request(stack.mockUrl, 'GET', '/__mock/state');
+    assert.deepEqual(mockState.carts['mock-token'].map(line => [line.offerId, line.quantity]), [[OFFER_M, 1]]);
+
+    const delivery = await waitFor(async () => {
+      const { body } = await request(stack.botUrl, 'GET', '/api/notifications?event=cart');
+      return body.notifications.find(entry => entry.status === 'sent');
+    }, { what: 'the cart alert delivery' });
+    assert.equal(delivery.channel, 'webhook');
+    assert.ok(stack.sink.received.some(message => message.event === 'cart'));
+  });
+});
+
+describe('token expiry', () => {
+  let stack;
+  before(async () => { stack = await startStack(); });
+  after(() => stack?.stop());
+
+  it('pauses the account on a 401 and resumes with new headers', async () => {
+    assert.equal((await watchProduct(stack, [OFFER_M])).status, 200);
+
+    await request(stack.mockUrl, 'POST', '/__mock/token', { valid: false });
+
+    const account = await waitFor(async () => {
+      const { body } = await request(stack.botUrl, 'GET', '/api/accounts');
+      return body.accounts.find(candidate => candidate.id === 'default' && candidate.auth.state === 'expired');
+    }, { what: 'the account to be marked expired' });
+    assert.equal(account.tokenExpired, true);
+
+    const { body: paused } = await request(stack.botUrl, 'GET', '/api/products');
+    assert.equal(paused.products[0].schedule.paused, true);
+    // No more checks are sent with the rejected token
+    const before = (await mockRequests(stack, 'quantity')).length;
+    await new Promise(resolve => setTimeout(resolve, 2500));
+    assert.equal((await mockRequests(stack, 'quantity')).length, before);
+
+    await request(stack.mockUrl, 'POST', '/__mock/token', { valid: true });
+    const updated = await request(stack.botUrl, 'POST', '/api/config/headers', {
+      headers: 'token: renewed-token\nclient_num: 123\ncrm: 456'
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.auth.state, 'valid');
+
+    const { body: resumed } = await request(stack.botUrl, 'GET', '/api/products');
+    assert.equal(resumed.products[0].schedule.paused, false);
+    await waitFor(async () => (await mockRequests(stack, 'quantity')).some(entry => entry.token === 'renewed-token'), {
+      what: 'a check with the new token'
+    });
+  });
+});
+
+describe('rate limiting', () => {
+  let stack;
+  before(async () => { stack = await startStack(); });
+  after(() => stack?.stop());
+
+  it('holds checks back for Retry-After after a 429', async () => {
+    assert.equal((await watchProduct(stack, [OFFER_L])).status, 200);
+    await waitFor(async () => (await mockRequests(stack, 'quantity')).length >= 2, { what: 'regular checks' });
+
+    const retryAfterSeconds = 3;
+    await request(stack.mockUrl, 'POST', '/__mock/faults', { status: 429, path: 'quantity', count: 1, retryAfter: retryAfterSeconds });
+    const checksBefore = (await mockRequests(stack, 'quantity')).length;
+
+    const status = await waitFor(async () => {
+      const { body } = await request(stack.botUrl, 'GET', '/api/status');
+      return body.upstream.rateLimitedUntil ? body : null;
+    }, { what: 'the rate limit to be reported' });
+    assert.ok(Date.parse(status.upstream.rateLimitedUntil) > Date.now());
+
+    // The first check after the fault got the 429; the next one waits for Retry-After
+    const [limited, next] = await waitFor(async () => {
+      const checks = (await mockRequests(stack, 'quantity')).slice(checksBefore);
+      return checks.length >= 2 ? checks : null;
+    }, { what: 'the check after the cooldown' });
+    const gapMs = Date.parse(next.at) - Date.parse(limited.at);
+    assert.ok(gapMs >= retryAfterSeconds * 1000 - 100, `next check ${gapMs}ms after the 429`);
+
+    const { text: metrics } = await request(stack.botUrl, 'GET', '/metrics');
+    assert.match(metrics, /srp_upstream_errors_total\{[^}]*type="rate_limit"[^}]*\} 1/);
+  });
+});
+
+describe('cart', () => {
+  let stack;
+  before(async () => { stack = await startStack(); });
+  after(() => stack?.stop());
+
+  async function mockCart() {
+    const { body } = await request(stack.mockUrl, 'GET', '/__mock/state');
+    return (body.carts['mock-token'] || []).map(line => [line.offerId, line.quantity]);
+  }
+
+  async function reservedOffers() {
+    const { body } = await request(stack.botUrl, 'GET', '/api/cart/reservations');
+    return body.reservations.map(reservation => reservation.offerId);
+  }
+
+  it('carts an in-stock size once its price reaches the target', async () => {
+    const added = await request(stack.botUrl, 'POST', '/api/products/add', {
+      productId: PRODUCT_ID, watchedSizes: [OFFER_L], maxPrice: 30, intervalSeconds: 1
+    });
+    assert.equal(added.status, 200);
+    await waitFor(async () => (await mockRequests(stack, 'quantity')).length >= 2, { what: 'checks above the target' });
+    assert.deepEqual(await mockCart(), []);
+
+    await request(stack.mockUrl, 'PATCH', `/__mock/products/${PRODUCT_ID}/offers/${OFFER_L}`, { price: 29.9 });
+
+    const cart = await waitFor(async () => {
+      const lines = await mockCart();
+      return lines.length ? lines : null;
+    }, { what: 'the size in the cart below the target' });
+    assert.deepEqual(cart, [[OFFER_L, 1]]);
+  });
+
+  it('changes and removes cart lines, and reports updates the cart did not take', async () => {
+    // Stop watching, so stock given back by the cart is not taken for a restock
+    assert.equal((await request(stack.botUrl, 'DELETE', `/api/products/${PRODUCT_ID}`)).status, 200);
+    const item = `${PRODUCT_ID}:${OFFER_L}`;
+
+    const patched = await request(stack.botUrl, 'PATCH', `/api/cart/${item}`, { quantity: 2 });
+    assert.equal(patched.status, 200);
+    assert.deepEqual(await mockCart(), [[OFFER_L, 2]]);
+
+    // The cart adds the quantity instead of setting it: 2 + 1 units, not 1
+    await request(stack.mockUrl, 'POST', '/__mock/cart-updates', { mode: 'add' });
+    const misread = await request(stack.botUrl, 'PATCH', `/api/cart/${item}`, { quantity: 1 });
+    assert.equal(misread.status, 409);
+    assert.deepEqual(await mockCart(), [[OFFER_L, 3]]);
+
+    const notRemoved = await request(stack.botUrl, 'DELETE', `/api/cart/${item}`);
+    assert.equal(notRemoved.status, 409);
+    assert.deepEqual(await reservedOffers(), [OFFER_L]);
+
+    await request(stack.mockUrl, 'POST', '/__mock/cart-updates', { mode: 'set' });
+    const removed = await request(stack.botUrl, 'DELETE', `/api/cart/${item}`);
+    assert.equal(removed.status, 200);
+    assert.deepEqual(await mockCart(), []);
+    assert.deepEqual(await reservedOffers(), []);
+  });
+});